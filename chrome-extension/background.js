@@ -1,58 +1,114 @@
 // StreamDeck URL Switcher - Background Service Worker
 // Connects to StreamDeck plugin via WebSocket
 
-const WS_URL = 'ws://localhost:9334';
-const KEEPALIVE_INTERVAL = 25000; // Send ping every 25 seconds
+importScripts('url-matcher.js', 'protocol.js', 'logger.js');
+
+const TAB_EVENT_DEBOUNCE = 200;    // Coalesce bursts of tab events into one push
+const RECONNECT_BASE_DELAY = 1000; // First retry delay, doubled per failed attempt
+const RECONNECT_MAX_DELAY = 30000; // Retry delay cap
+const WAKE_ALARM = 'reconnect';    // Wakes the worker if Chrome stopped it
+const WAKE_ALARM_MINUTES = 0.5;    // Shortest period Chrome allows
+const MAX_MISSED_PONGS = 2;        // The link is treated as dead after this many
+const CHALLENGE_TIMEOUT = 3000;    // An open socket without a challenge by then is not the plugin
+
+// Console only; requests from the plugin are logged with their correlation id
+const logger = new Logging.Logger({ component: 'extension' });
 
 let websocket = null;
 let reconnectTimer = null;
 let keepAliveTimer = null;
+let challengeTimer = null;
+let tabEventTimer = null;
+let authState = 'disconnected'; // disconnected | authenticating | authenticated | unpaired | rejected | incompatible
+let authError = '';             // Close reason given by the plugin when it rejected us
+let pluginProtocol = null;      // { protocolVersion, capabilities } from the plugin's welcome
+let portCandidates = [];        // Ports left to try in the current scan
+let connectingPort = null;      // Port of the socket being opened
+let pluginPort = null;          // Port the plugin answered on; tried first next time
+let challengeReceived = false;  // Whether the current socket is really our plugin
+let connecting = false;         // connectWebSocket is choosing a port
+let reconnectAttempts = 0;      // Failed attempts since the last successful pairing
+let nextReconnectAt = 0;
+
+// Link health from keep-alive pings, reported in getStatus
+const health = {
+  rtt: null,           // Round trip of the last answered ping, ms
+  lastPongAt: 0,
+  lastPingAt: 0,
+  awaitingPong: false,
+  missedPongs: 0       // Pings in a row that got no pong
+};
+
+// Tab id -> time the tab was last activated, for most-recently-used tie breaks
+const tabLastActivated = new Map();
 
 // ============================================================
 // Tab Management
 // ============================================================
 
-async function getAllTabs() {
-  const tabs = await chrome.tabs.query({});
-  return tabs.map(tab => ({
+// Plain tab fields sent to the plugin and the popup
+function describeTab(tab) {
+  return {
     id: tab.id,
     windowId: tab.windowId,
+    index: tab.index,
     url: tab.url || '',
     title: tab.title || '',
     active: tab.active,
-    favIconUrl: tab.favIconUrl || ''
-  }));
+    pinned: tab.pinned,
+    muted: !!(tab.mutedInfo && tab.mutedInfo.muted),
+    favIconUrl: tab.favIconUrl || '',
+    lastAccessed: tab.lastAccessed || 0,
+    incognito: !!tab.incognito
+  };
 }
 
-function normalizeURL(url) {
-  if (!url) return '';
-  let normalized = url.toLowerCase();
-  normalized = normalized.replace(/^https?:\/\//, '');
-  normalized = normalized.replace(/^www\./, '');
-  normalized = normalized.replace(/\/$/, '');
-  normalized = normalized.replace(/#.*$/, '');
-  return normalized;
+// incognito: 'normal' or 'incognito' keeps only tabs (or windows) of that kind;
+// anything else keeps all. Incognito tabs are only visible to an extension
+// allowed in incognito.
+function matchesIncognito(tabOrWindow, incognito) {
+  if (incognito === 'normal') return !tabOrWindow.incognito;
+  if (incognito === 'incognito') return !!tabOrWindow.incognito;
+  return true;
 }
 
-async function findTabByURL(targetURL) {
-  const tabs = await getAllTabs();
-  const normalizedTarget = normalizeURL(targetURL);
+async function getAllTabs(incognito) {
+  const tabs = await chrome.tabs.query({});
+  return tabs.filter(tab => matchesIncognito(tab, incognito)).map(describeTab);
+}
+
+// The tab the user is looking at: active tab of the last focused window, or null
+async function getActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  return tab ? describeTab(tab) : null;
+}
+
+// Returns the best matching tab and its score, or null
+async function findTabByURL(targetURL, options = {}) {
+  const tabs = await getAllTabs(options.incognito);
+  const matches = createMatcher(options.matchPattern || targetURL, options.matchMode);
+  const ranked = rankTabs(tabs, targetURL, matches, tabLastActivated);
   
-  for (const tab of tabs) {
-    const normalizedTab = normalizeURL(tab.url);
-    
-    // Exact match
-    if (normalizedTab === normalizedTarget) {
-      return tab;
-    }
-    
-    // Partial match (target is prefix of tab URL or vice versa)
-    if (normalizedTab.startsWith(normalizedTarget) || normalizedTarget.startsWith(normalizedTab)) {
-      return tab;
-    }
+  if (ranked.length === 0) {
+    return null;
   }
   
-  return null;
+  return { ...ranked[0], candidates: ranked.length };
+}
+
+// Every matching tab in a stable order (window, then position in the tab strip),
+// plus the active tab of the last focused window so callers can cycle from it
+async function findAllTabsByURL(targetURL, options = {}) {
+  const tabs = await getAllTabs(options.incognito);
+  const matches = createMatcher(options.matchPattern || targetURL, options.matchMode);
+  const [focusedTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  
+  return {
+    tabs: tabs
+      .filter(tab => matches(tab.url))
+      .sort((a, b) => (a.windowId - b.windowId) || (a.index - b.index)),
+    focusedTabId: focusedTab ? focusedTab.id : null
+  };
 }
 
 async function activateTab(tabId, windowId) {
@@ -65,97 +121,933 @@ async function activateTab(tabId, windowId) {
   }
 }
 
-async function openURL(url) {
+// placement as for openTabWithPlacement; the browser's default if omitted.
+// incognito 'incognito' or 'normal' opens the tab in a window of that kind.
+async function openURL(url, placement, incognito) {
   try {
-    const tab = await chrome.tabs.create({ url });
-    return { success: true, tabId: tab.id };
+    const tab = await openTabWithPlacement(url, getPlacement(placement), incognito);
+    return { success: true, tabId: tab.id, windowId: tab.windowId };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function switchToURL(url) {
-  const existingTab = await findTabByURL(url);
+// options: match options (including incognito) plus placement, used when
+// opening and for a 'currentWindow' placement also when a matching tab is found
+async function switchToURL(url, options = {}) {
+  let match;
+  let windowId;
+  try {
+    match = await findTabByURL(url, options);
+    if (match) {
+      windowId = await placeMatchedTab(match.tab, getPlacement(options.placement));
+    }
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
   
-  if (existingTab) {
-    const result = await activateTab(existingTab.id, existingTab.windowId);
-    return { ...result, action: 'activated', tab: existingTab };
+  if (match) {
+    const result = await activateTab(match.tab.id, windowId);
+    return {
+      ...result,
+      action: 'activated',
+      tab: { ...match.tab, windowId },
+      score: match.score,
+      candidates: match.candidates
+    };
   } else {
-    const result = await openURL(url);
+    const result = await openURL(url, options.placement, options.incognito);
     return { ...result, action: 'opened' };
   }
 }
 
+// ============================================================
+// Window Placement
+// ============================================================
+
+// Where switchToURL and openURL put a tab:
+//   default        a new tab in the current window
+//   newWindow      a new window, optionally at left/top/width/height
+//   popup          a popup window (no tab strip or address bar) at left/top/width/height
+//   namedWindow    the window opened earlier for windowName, or a new one
+//   currentWindow  like default, and a matching tab is moved into the current window
+const PLACEMENT_MODES = ['default', 'newWindow', 'popup', 'namedWindow', 'currentWindow'];
+const NAMED_WINDOWS_KEY = 'namedWindows'; // storage.session: window name -> window id
+
+// Checked placement from a request, or null for the default
+function getPlacement(placement) {
+  if (!placement || !placement.mode || placement.mode === 'default') {
+    return null;
+  }
+  if (!PLACEMENT_MODES.includes(placement.mode)) {
+    throw new Error('Unknown window placement: ' + placement.mode);
+  }
+  if (placement.mode === 'namedWindow' && !placement.windowName) {
+    throw new Error('Named window placement needs a window name');
+  }
+  return placement;
+}
+
+// The bounds a placement sets, for chrome.windows.create and update
+function getBounds(placement) {
+  const bounds = {};
+  for (const key of ['left', 'top', 'width', 'height']) {
+    if (Number.isInteger(placement[key])) {
+      bounds[key] = placement[key];
+    }
+  }
+  return bounds;
+}
+
+// The still open window last opened for name, or null. Kept in session
+// storage so it survives the service worker stopping, but not a browser restart.
+async function getNamedWindow(name) {
+  const { [NAMED_WINDOWS_KEY]: names = {} } = await chrome.storage.session.get(NAMED_WINDOWS_KEY);
+  if (names[name] === undefined) return null;
+  try {
+    return await chrome.windows.get(names[name]);
+  } catch (error) {
+    return null; // Closed since
+  }
+}
+
+async function setNamedWindowId(name, windowId) {
+  const { [NAMED_WINDOWS_KEY]: names = {} } = await chrome.storage.session.get(NAMED_WINDOWS_KEY);
+  names[name] = windowId;
+  await chrome.storage.session.set({ [NAMED_WINDOWS_KEY]: names });
+}
+
+// Open url as placement says, in a window of the incognito kind asked for,
+// and return the new tab
+async function openTabWithPlacement(url, placement, incognito) {
+  const windowOptions = { url, focused: true, ...(placement ? getBounds(placement) : {}) };
+  if (incognito === 'incognito') {
+    await requireIncognitoAccess();
+    windowOptions.incognito = true;
+  }
+  
+  switch (placement ? placement.mode : 'default') {
+    case 'newWindow': {
+      const window = await chrome.windows.create(windowOptions);
+      return window.tabs[0];
+    }
+    case 'popup': {
+      const window = await chrome.windows.create({ ...windowOptions, type: 'popup' });
+      return window.tabs[0];
+    }
+    case 'namedWindow': {
+      const named = await getNamedWindow(placement.windowName);
+      if (named && matchesIncognito(named, incognito)) {
+        return createTabInWindow(url, named.id);
+      }
+      const window = await chrome.windows.create(windowOptions);
+      await setNamedWindowId(placement.windowName, window.id);
+      return window.tabs[0];
+    }
+    default: {
+      if (incognito !== 'normal' && incognito !== 'incognito') {
+        return chrome.tabs.create({ url });
+      }
+      // The last focused window of the right kind, else a new one
+      const windows = (await chrome.windows.getAll({ windowTypes: ['normal'] }))
+        .filter(window => matchesIncognito(window, incognito));
+      const target = windows.find(window => window.focused) || windows[0];
+      if (target) {
+        return createTabInWindow(url, target.id);
+      }
+      const window = await chrome.windows.create({ url, focused: true, incognito: incognito === 'incognito' });
+      return window.tabs[0];
+    }
+  }
+}
+
+async function createTabInWindow(url, windowId) {
+  const tab = await chrome.tabs.create({ url, windowId });
+  await chrome.windows.update(windowId, { focused: true });
+  return tab;
+}
+
+// Opening incognito windows needs "Allow in Incognito" on the extension
+async function requireIncognitoAccess() {
+  if (!await chrome.extension.isAllowedIncognitoAccess()) {
+    throw new Error('The extension is not allowed in incognito; enable "Allow in Incognito" in its details page');
+  }
+}
+
+// Prepare a matching tab for activation and return the window it is now in:
+// 'currentWindow' pulls it into the focused window, 'popup' resizes its
+// popup window to the configured bounds
+async function placeMatchedTab(tab, placement) {
+  if (!placement) return tab.windowId;
+  
+  if (placement.mode === 'currentWindow') {
+    const current = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+    // Chrome can't move tabs between incognito and normal windows
+    if (current && current.id !== tab.windowId && !!current.incognito === tab.incognito) {
+      await chrome.tabs.move(tab.id, { windowId: current.id, index: -1 });
+      return current.id;
+    }
+  } else if (placement.mode === 'popup') {
+    const bounds = getBounds(placement);
+    const window = await chrome.windows.get(tab.windowId);
+    if (window.type === 'popup' && Object.keys(bounds).length > 0) {
+      await chrome.windows.update(window.id, bounds);
+    }
+  }
+  return tab.windowId;
+}
+
+// Run fn(tab) on the best matching tab and wrap the outcome as a result.
+// Whatever fn returns is merged into the result.
+async function withMatchingTab(url, options, action, fn) {
+  try {
+    const match = await findTabByURL(url, options);
+    if (!match) {
+      return { success: false, error: 'No matching tab' };
+    }
+    const details = await fn(match.tab);
+    return { success: true, action, tab: match.tab, ...details };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+function closeMatchingTab(url, options = {}) {
+  return withMatchingTab(url, options, 'closed', (tab) => chrome.tabs.remove(tab.id));
+}
+
+async function closeAllMatchingTabs(url, options = {}) {
+  try {
+    const { tabs } = await findAllTabsByURL(url, options);
+    if (tabs.length === 0) {
+      return { success: false, error: 'No matching tab' };
+    }
+    await chrome.tabs.remove(tabs.map(tab => tab.id));
+    return { success: true, action: 'closed', closed: tabs.length, tabs };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+function reloadMatchingTab(url, options = {}) {
+  return withMatchingTab(url, options, 'reloaded', (tab) =>
+    chrome.tabs.reload(tab.id, { bypassCache: !!options.bypassCache })
+  );
+}
+
+function togglePinMatchingTab(url, options = {}) {
+  return withMatchingTab(url, options, 'pinToggled', async (tab) => {
+    const updated = await chrome.tabs.update(tab.id, { pinned: !tab.pinned });
+    return { pinned: updated.pinned };
+  });
+}
+
+function toggleMuteMatchingTab(url, options = {}) {
+  return withMatchingTab(url, options, 'muteToggled', async (tab) => {
+    const updated = await chrome.tabs.update(tab.id, { muted: !tab.muted });
+    return { muted: !!(updated.mutedInfo && updated.mutedInfo.muted) };
+  });
+}
+
+function duplicateMatchingTab(url, options = {}) {
+  return withMatchingTab(url, options, 'duplicated', async (tab) => {
+    const copy = await chrome.tabs.duplicate(tab.id);
+    return { duplicateId: copy.id };
+  });
+}
+
+function moveMatchingTabToNewWindow(url, options = {}) {
+  return withMatchingTab(url, options, 'moved', async (tab) => {
+    const window = await chrome.windows.create({ tabId: tab.id, focused: true });
+    return { windowId: window.id };
+  });
+}
+
+// Favicon of the best matching tab as a data URI, via the extension's
+// _favicon endpoint (needs the "favicon" permission, avoids CORS on the site)
+function getMatchingTabFavicon(url, options = {}) {
+  return withMatchingTab(url, options, 'favicon', async (tab) => ({
+    dataURI: await fetchFaviconDataURI(tab)
+  }));
+}
+
+async function fetchFaviconDataURI(tab) {
+  if (tab.favIconUrl.startsWith('data:')) {
+    return tab.favIconUrl;
+  }
+  
+  const faviconURL = chrome.runtime.getURL(
+    `/_favicon/?pageUrl=${encodeURIComponent(tab.url)}&size=64`
+  );
+  const response = await fetch(faviconURL);
+  if (!response.ok) {
+    throw new Error(`Favicon request failed (${response.status})`);
+  }
+  
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  const type = response.headers.get('content-type') || 'image/png';
+  return `data:${type};base64,${btoa(binary)}`;
+}
+
+// For each target { key, url, matchMode, matchPattern } report whether a
+// matching tab is 'focused' (active tab of the focused window), 'open' or 'closed'
+async function getTabStates(targets = []) {
+  const tabs = await getAllTabs();
+  let focusedWindow = null;
+  try {
+    focusedWindow = await chrome.windows.getLastFocused();
+  } catch (error) {
+    // No browser windows
+  }
+  const focusedTab = tabs.find(tab =>
+    tab.active && focusedWindow && focusedWindow.focused && tab.windowId === focusedWindow.id
+  );
+  
+  const states = {};
+  for (const target of targets) {
+    let matching = [];
+    try {
+      const matches = createMatcher(target.matchPattern || target.url, target.matchMode);
+      matching = tabs.filter(tab => matchesIncognito(tab, target.incognito) && matches(tab.url));
+    } catch (error) {
+      // Invalid pattern never matches
+    }
+    
+    if (focusedTab && matching.includes(focusedTab)) {
+      states[target.key] = 'focused';
+    } else {
+      states[target.key] = matching.length > 0 ? 'open' : 'closed';
+    }
+  }
+  return states;
+}
+
+// ============================================================
+// Workspaces
+// ============================================================
+
+const WORKSPACE_LAYOUTS = ['window', 'newWindow', 'group'];
+
+// Focus or open every URL of a workspace, reusing the best matching tab for
+// each. layout: 'window' opens missing tabs in the current window, 'newWindow'
+// gathers the workspace into a window of its own, 'group' into a tab group
+// named groupName. Returns { success, results: [{ url, success, action, tabId, error }] };
+// success only if every URL worked.
+async function openWorkspace(urls, options = {}) {
+  const layout = options.layout || 'window';
+  if (!WORKSPACE_LAYOUTS.includes(layout)) {
+    throw new Error('Unknown workspace layout: ' + layout);
+  }
+  if (layout === 'group' && !chrome.tabGroups) {
+    throw new Error('This browser does not support tab groups');
+  }
+  
+  // Existing members first, so new tabs can be placed next to them
+  const members = [];
+  for (const url of urls) {
+    try {
+      const match = await findTabByURL(url);
+      members.push({ url, tab: match && match.tab });
+    } catch (error) {
+      members.push({ url, error: error.message });
+    }
+  }
+  
+  const windowId = await getWorkspaceWindow(members, layout, options);
+  const results = [];
+  for (const member of members) {
+    if (member.error) {
+      results.push({ url: member.url, success: false, error: member.error });
+      continue;
+    }
+    try {
+      if (member.tab) {
+        if (layout === 'newWindow' && member.tab.windowId !== windowId) {
+          await chrome.tabs.move(member.tab.id, { windowId, index: -1 });
+        }
+        results.push({
+          url: member.url,
+          success: true,
+          action: member.opened ? 'opened' : 'activated',
+          tabId: member.tab.id
+        });
+      } else {
+        const tab = await chrome.tabs.create({ url: member.url, windowId, active: false });
+        results.push({ url: member.url, success: true, action: 'opened', tabId: tab.id });
+      }
+    } catch (error) {
+      results.push({ url: member.url, success: false, error: error.message });
+    }
+  }
+  
+  const tabIds = results.filter(result => result.success).map(result => result.tabId);
+  if (layout === 'group' && tabIds.length > 0) {
+    try {
+      await groupWorkspaceTabs(tabIds, options);
+    } catch (error) {
+      return { success: false, error: 'Could not group tabs: ' + error.message, results };
+    }
+  }
+  
+  // Bring the workspace to the front with its first member selected
+  if (tabIds.length > 0) {
+    const first = await chrome.tabs.get(tabIds[0]);
+    await activateTab(first.id, first.windowId);
+  }
+  return { success: results.every(result => result.success), results };
+}
+
+// Window new workspace tabs open in, or undefined for the current window.
+// For 'newWindow' this reuses a window holding nothing but workspace members.
+async function getWorkspaceWindow(members, layout, options) {
+  const existing = members.filter(member => member.tab).map(member => member.tab);
+  
+  if (layout === 'group') {
+    const group = await findWorkspaceGroup(options);
+    return group ? group.windowId : undefined;
+  }
+  if (layout !== 'newWindow') {
+    return undefined;
+  }
+  
+  const windowIds = new Set(existing.map(tab => tab.windowId));
+  if (windowIds.size === 1) {
+    const [windowId] = windowIds;
+    const tabsInWindow = await chrome.tabs.query({ windowId });
+    if (tabsInWindow.length === existing.length) {
+      return windowId;
+    }
+  }
+  
+  // Start the window with the first member; its blank tab is replaced by it
+  const window = await chrome.windows.create({ focused: true });
+  const [blank] = window.tabs || [];
+  const first = members.find(member => !member.error);
+  if (blank && first) {
+    if (first.tab) {
+      await chrome.tabs.move(first.tab.id, { windowId: window.id, index: -1 });
+      await chrome.tabs.remove(blank.id);
+      first.tab = { ...first.tab, windowId: window.id };
+    } else {
+      first.tab = describeTab(await chrome.tabs.update(blank.id, { url: first.url }));
+      first.opened = true;
+    }
+  }
+  return window.id;
+}
+
+// Existing group named like the workspace; unnamed workspaces always get a new group
+async function findWorkspaceGroup(options) {
+  if (!options.groupName) return null;
+  const [group] = await chrome.tabGroups.query({ title: options.groupName });
+  return group || null;
+}
+
+// Put the tabs into the workspace's group, creating it if needed
+async function groupWorkspaceTabs(tabIds, options) {
+  const group = await findWorkspaceGroup(options);
+  const groupId = await chrome.tabs.group(group ? { groupId: group.id, tabIds } : { tabIds });
+  await chrome.tabGroups.update(groupId, {
+    title: options.groupName || '',
+    color: options.groupColor || (group ? group.color : 'grey'),
+    collapsed: false
+  });
+}
+
+// Close the best matching tab of each URL. URLs with no open tab count as done.
+async function closeWorkspace(urls) {
+  const results = [];
+  for (const url of urls) {
+    try {
+      const match = await findTabByURL(url);
+      if (match) {
+        await chrome.tabs.remove(match.tab.id);
+      }
+      results.push({ url, success: true, action: match ? 'closed' : 'notOpen' });
+    } catch (error) {
+      results.push({ url, success: false, error: error.message });
+    }
+  }
+  return { success: results.every(result => result.success), results };
+}
+
+function getWorkspaceURLs(message) {
+  if (!message.urls.every(url => typeof url === 'string' && url)) {
+    throw new Protocol.ProtocolError(Protocol.ERROR_CODES.INVALID_MESSAGE, 'urls must be non-empty strings');
+  }
+  return message.urls;
+}
+
+// ============================================================
+// Session Snapshots
+// ============================================================
+
+// Every normal window with its bounds, tab groups and tabs, in snapshot file
+// form (see "Snapshot Files" in README.md). Group ids only link tabs to groups.
+async function captureSession() {
+  const windows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+  const groups = chrome.tabGroups ? await chrome.tabGroups.query({}) : [];
+  
+  return windows
+    .filter(window => !window.incognito)
+    .map(window => ({
+      state: window.state,
+      bounds: { left: window.left, top: window.top, width: window.width, height: window.height },
+      focused: window.focused,
+      groups: groups
+        .filter(group => group.windowId === window.id)
+        .map(({ id, title, color, collapsed }) => ({ id, title, color, collapsed })),
+      tabs: window.tabs
+        .filter(tab => tab.url)
+        .map(tab => ({
+          url: tab.url,
+          title: tab.title || '',
+          pinned: tab.pinned,
+          active: tab.active,
+          ...(tab.groupId >= 0 ? { group: tab.groupId } : {})
+        }))
+    }))
+    .filter(window => window.tabs.length > 0);
+}
+
+// Reopen snapshot windows, skipping tabs whose exact URL is already open and
+// windows with nothing left to open. Tabs that fail to open are reported,
+// the rest still open: { success, opened, skipped, failed: [{ url, error }] }
+async function restoreSession(windows) {
+  const openURLs = (await getAllTabs()).map(tab => tab.url);
+  const isOpen = (url) => openURLs.some(createMatcher(url, 'exact'));
+  const outcome = { success: true, opened: 0, skipped: 0, failed: [] };
+  
+  for (const saved of windows) {
+    const tabs = saved.tabs.filter(tab => {
+      if (!isOpen(tab.url)) return true;
+      outcome.skipped++;
+      return false;
+    });
+    if (tabs.length === 0) continue;
+    
+    const window = await chrome.windows.create(getWindowCreateData(saved));
+    const [blank] = window.tabs || [];
+    const opened = []; // { saved, tab } in tab strip order
+    for (const tab of tabs) {
+      try {
+        const created = await chrome.tabs.create({
+          windowId: window.id,
+          url: tab.url,
+          pinned: !!tab.pinned,
+          active: false
+        });
+        opened.push({ saved: tab, tab: created });
+        outcome.opened++;
+      } catch (error) {
+        outcome.failed.push({ url: tab.url, error: error.message });
+      }
+    }
+    if (blank && opened.length > 0) {
+      await chrome.tabs.remove(blank.id);
+    }
+    
+    await restoreGroups(saved.groups || [], opened, window.id, outcome);
+    const active = opened.find(({ saved: tab }) => tab.active) || opened[0];
+    if (active) {
+      await chrome.tabs.update(active.tab.id, { active: true });
+    }
+    if (saved.state && saved.state !== 'normal') {
+      await chrome.windows.update(window.id, { state: saved.state });
+    }
+  }
+  
+  outcome.success = outcome.failed.length === 0;
+  return outcome;
+}
+
+// Bounds only apply to normal windows; Chrome rejects them with other states
+function getWindowCreateData(saved) {
+  const bounds = saved.bounds || {};
+  if (saved.state && saved.state !== 'normal') {
+    return { focused: true };
+  }
+  return {
+    focused: true,
+    left: bounds.left,
+    top: bounds.top,
+    width: bounds.width,
+    height: bounds.height
+  };
+}
+
+async function restoreGroups(groups, opened, windowId, outcome) {
+  if (!chrome.tabGroups) return;
+  
+  for (const group of groups) {
+    const tabIds = opened.filter(({ saved }) => saved.group === group.id).map(({ tab }) => tab.id);
+    if (tabIds.length === 0) continue;
+    try {
+      const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+      await chrome.tabGroups.update(groupId, {
+        title: group.title || '',
+        color: group.color || 'grey',
+        collapsed: !!group.collapsed
+      });
+    } catch (error) {
+      outcome.failed.push({ url: `group "${group.title || ''}"`, error: error.message });
+    }
+  }
+}
+
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  tabLastActivated.set(tabId, Date.now());
+  notifyTabsChanged();
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  tabLastActivated.delete(tabId);
+  notifyTabsChanged();
+});
+
+chrome.tabs.onCreated.addListener(() => notifyTabsChanged());
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  // Only URL changes affect matching; ignore title, favicon and loading churn
+  if (changeInfo.url) {
+    notifyTabsChanged();
+  }
+});
+
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  // Lets the plugin prefer the browser the user is working in
+  if (windowId !== chrome.windows.WINDOW_ID_NONE) {
+    sendToPlugin({ event: 'browserFocused' });
+  }
+  notifyTabsChanged();
+});
+
+// Tell the plugin that tabs changed, at most once per TAB_EVENT_DEBOUNCE
+function notifyTabsChanged() {
+  if (tabEventTimer) return;
+  
+  tabEventTimer = setTimeout(() => {
+    tabEventTimer = null;
+    sendToPlugin({ event: 'tabsChanged' });
+  }, TAB_EVENT_DEBOUNCE);
+}
+
+// ============================================================
+// Browser Identity
+// ============================================================
+
+// Which Chromium browser this is, so the plugin can tell Chrome and Edge apart
+function detectBrowser() {
+  const brands = (navigator.userAgentData && navigator.userAgentData.brands) || [];
+  if (brands.some(b => b.brand === 'Microsoft Edge')) return 'edge';
+  if (brands.some(b => b.brand === 'Brave')) return 'brave';
+  if (brands.some(b => b.brand === 'Opera')) return 'opera';
+  if (/Edg\//.test(navigator.userAgent)) return 'edge';
+  return 'chrome';
+}
+
+// Stable per-profile identity, created on first use and kept in local storage.
+// The profile name is whatever the user typed into the popup.
+async function getIdentity() {
+  const stored = await chrome.storage.local.get(['instanceId', 'profileName']);
+  let instanceId = stored.instanceId;
+  if (!instanceId) {
+    instanceId = crypto.randomUUID();
+    await chrome.storage.local.set({ instanceId });
+  }
+  return {
+    browser: detectBrowser(),
+    profile: stored.profileName || '',
+    instanceId
+  };
+}
+
+// Identifies this browser and offers our protocol version and supported requests
+async function sendHello() {
+  const { browser, profile, instanceId } = await getIdentity();
+  sendToPlugin({
+    action: 'hello',
+    protocolVersion: Protocol.PROTOCOL_VERSION,
+    capabilities: Object.keys(REQUEST_HANDLERS),
+    browser,
+    profile,
+    instanceId,
+    // Chrome restarts the extension when this changes, so hello is always current
+    incognitoAccess: await chrome.extension.isAllowedIncognitoAccess()
+  });
+}
+
+async function setProfileName(profileName) {
+  await chrome.storage.local.set({ profileName: (profileName || '').trim() });
+  await sendHello();
+  return getIdentity();
+}
+
+// Log level chosen in the popup, like the plugin's Log Level setting;
+// anything else restores the default. Returns the level now in effect.
+async function setLogLevel(level) {
+  const logLevel = logger.setLevel(level);
+  await chrome.storage.local.set({ logLevel });
+  return logLevel;
+}
+
+// ============================================================
+// Pairing
+// ============================================================
+
+// The plugin sends a random nonce; we answer with HMAC-SHA256(secret, nonce)
+// to prove we know the pairing secret shown in the property inspector
+async function answerChallenge(nonce) {
+  const { pairingSecret } = await chrome.storage.local.get('pairingSecret');
+  if (!pairingSecret) {
+    logger.warn('Not paired - paste the pairing secret into the extension popup');
+    authState = 'unpaired';
+    websocket.close();
+    return;
+  }
+  
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(pairingSecret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(nonce));
+  const response = [...new Uint8Array(signature)]
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+  sendToPlugin({ action: 'authenticate', response });
+}
+
+async function setPairingSecret(secret) {
+  await chrome.storage.local.set({ pairingSecret: (secret || '').trim() });
+  authState = 'disconnected';
+  authError = '';
+  
+  if (websocket) {
+    websocket.close(); // Reconnects with the new secret
+  } else {
+    clearReconnectTimer();
+    connectWebSocket();
+  }
+}
+
+// Port chosen in the popup; empty scans the default range again
+async function setPluginPort(port) {
+  const value = parseInt(port, 10);
+  if (Protocol.isValidPort(value)) {
+    await chrome.storage.local.set({ configuredPort: value });
+  } else {
+    await chrome.storage.local.remove('configuredPort');
+  }
+  pluginPort = null;
+  portCandidates = [];
+  
+  if (websocket) {
+    websocket.close(); // Reconnects on the new port
+  } else {
+    clearReconnectTimer();
+    connectWebSocket();
+  }
+}
+
 // ============================================================
 // WebSocket Connection to StreamDeck Plugin
 // ============================================================
 
-function connectWebSocket() {
-  if (websocket && websocket.readyState === WebSocket.OPEN) {
+// Ports to scan: the one set in the popup (or the default) and the plugin's
+// fallbacks after it, starting with the port that worked last time
+async function getPortCandidates() {
+  const { configuredPort } = await chrome.storage.local.get('configuredPort');
+  const ports = Protocol.candidatePorts(configuredPort || Protocol.DEFAULT_PORT);
+  if (pluginPort && ports.includes(pluginPort)) {
+    return [pluginPort, ...ports.filter(port => port !== pluginPort)];
+  }
+  return ports;
+}
+
+async function connectWebSocket() {
+  if (websocket || connecting) {
     return;
   }
+  
+  if (portCandidates.length === 0) {
+    connecting = true;
+    try {
+      portCandidates = await getPortCandidates();
+    } finally {
+      connecting = false;
+    }
+  }
+  connectingPort = portCandidates.shift();
+  challengeReceived = false;
+  const url = `ws://localhost:${connectingPort}`;
 
-  console.log('Connecting to StreamDeck plugin at', WS_URL);
+  logger.info(`Connecting to StreamDeck plugin at ${url}`);
   
   try {
-    websocket = new WebSocket(WS_URL);
+    websocket = new WebSocket(url);
 
     websocket.onopen = () => {
-      console.log('Connected to StreamDeck plugin');
+      logger.info('Connected to StreamDeck plugin, waiting for challenge');
       clearReconnectTimer();
-      startKeepAlive();
+      authState = 'authenticating';
+      // Some other server may answer on this port and never speak; move on
+      // to the next port instead of waiting on it forever
+      challengeTimer = setTimeout(() => {
+        challengeTimer = null;
+        logger.warn(`No challenge from port ${connectingPort} within ${CHALLENGE_TIMEOUT}ms, trying the next port`);
+        dropConnection('No challenge');
+      }, CHALLENGE_TIMEOUT);
     };
 
     websocket.onmessage = async (event) => {
       try {
-        const message = JSON.parse(event.data);
+        const message = Protocol.parseMessage(event.data);
         await handlePluginMessage(message);
       } catch (e) {
-        console.error('Error handling message:', e);
+        logger.error(`Error handling message: ${e.message}`);
       }
     };
 
-    websocket.onclose = () => {
-      console.log('Disconnected from StreamDeck plugin');
-      websocket = null;
-      stopKeepAlive();
-      scheduleReconnect();
-    };
+    websocket.onclose = onSocketClosed;
 
     websocket.onerror = (error) => {
-      console.error('WebSocket error:', error);
+      logger.error('WebSocket error');
     };
   } catch (error) {
-    console.error('Failed to connect:', error);
+    logger.error(`Failed to connect: ${error.message}`);
     scheduleReconnect();
   }
 }
 
+function onSocketClosed(event) {
+  logger.info(`Disconnected from StreamDeck plugin (${event.code}${event.reason ? ' ' + event.reason : ''})`);
+  clearChallengeTimer();
+  websocket = null;
+  pluginProtocol = null;
+  stopKeepAlive();
+  
+  // Nothing (or something else) on this port: try the next one right away
+  if (!challengeReceived && portCandidates.length > 0) {
+    connectWebSocket();
+    return;
+  }
+  portCandidates = [];
+  
+  // The plugin speaks a protocol version we don't; keep retrying slowly
+  // so an updated plugin is picked up, but report why in the popup
+  if (event.code === Protocol.CLOSE_CODES.UNSUPPORTED_VERSION) {
+    authState = 'incompatible';
+    authError = event.reason || 'Unsupported protocol version';
+    logger.error(`Plugin protocol mismatch: ${authError}`);
+    scheduleReconnect();
+    return;
+  }
+  
+  // Rejected by the plugin: retrying with the same secret can't succeed
+  if (event.code === 4001 && event.reason !== 'Authentication timeout') {
+    authState = 'rejected';
+    authError = event.reason || 'Authentication failed';
+    logger.warn(`Pairing rejected by plugin: ${authError}`);
+    return;
+  }
+  if (authState === 'unpaired') {
+    return;
+  }
+  
+  if (authState !== 'incompatible') {
+    authState = 'disconnected';
+  }
+  scheduleReconnect();
+}
+
+// Abandon a socket that stopped answering without waiting for its close
+// handshake, which never completes on a dead link
+function dropConnection(reason) {
+  const socket = websocket;
+  if (!socket) return;
+  socket.onclose = null;
+  socket.onmessage = null;
+  socket.close();
+  onSocketClosed({ code: 1006, reason });
+}
+
+// Exponential backoff with jitter, so several browsers don't retry in lockstep
+function getReconnectDelay() {
+  const ceiling = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** reconnectAttempts);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
 function scheduleReconnect() {
   if (reconnectTimer) return;
   
-  console.log('Will reconnect in 5 seconds...');
+  const delay = getReconnectDelay();
+  reconnectAttempts++;
+  nextReconnectAt = Date.now() + delay;
+  logger.info(`Will reconnect in ${Math.round(delay / 1000)} seconds...`);
   reconnectTimer = setTimeout(() => {
     reconnectTimer = null;
+    nextReconnectAt = 0;
     connectWebSocket();
-  }, 5000);
+  }, delay);
+}
+
+function clearChallengeTimer() {
+  if (challengeTimer) {
+    clearTimeout(challengeTimer);
+    challengeTimer = null;
+  }
 }
 
 function clearReconnectTimer() {
   if (reconnectTimer) {
     clearTimeout(reconnectTimer);
     reconnectTimer = null;
+    nextReconnectAt = 0;
+  }
+}
+
+// Pings measure the link and keep the worker busy while connected; the
+// plugin answers each with a pong. Our last measurement rides along so the
+// plugin can show it too.
+function sendPing() {
+  if (!websocket || websocket.readyState !== WebSocket.OPEN) return;
+  
+  if (health.awaitingPong) {
+    health.missedPongs++;
+    if (health.missedPongs >= MAX_MISSED_PONGS) {
+      logger.warn(`No pong for ${health.missedPongs} pings, reconnecting`);
+      dropConnection('Missed pongs');
+      return;
+    }
   }
+  
+  health.awaitingPong = true;
+  health.lastPingAt = Date.now();
+  sendToPlugin({ action: 'ping', rtt: health.rtt, missedPongs: health.missedPongs });
+}
+
+function onPong() {
+  health.awaitingPong = false;
+  health.lastPongAt = Date.now();
+  health.rtt = health.lastPongAt - health.lastPingAt;
+  health.missedPongs = 0;
+}
+
+function resetHealth() {
+  Object.assign(health, { rtt: null, lastPongAt: 0, lastPingAt: 0, awaitingPong: false, missedPongs: 0 });
 }
 
 function startKeepAlive() {
   stopKeepAlive();
-  keepAliveTimer = setInterval(() => {
-    if (websocket && websocket.readyState === WebSocket.OPEN) {
-      sendToPlugin({ action: 'ping' });
-      console.log('Keep-alive ping sent');
-    }
-  }, KEEPALIVE_INTERVAL);
+  keepAliveTimer = setInterval(sendPing, Protocol.PING_INTERVAL_MS);
 }
 
 function stopKeepAlive() {
@@ -165,37 +1057,179 @@ function stopKeepAlive() {
   }
 }
 
+// Until the challenge is answered, only the answer itself may be sent
 function sendToPlugin(message) {
+  if (authState !== 'authenticated' && message.action !== 'authenticate') {
+    return;
+  }
   if (websocket && websocket.readyState === WebSocket.OPEN) {
-    websocket.send(JSON.stringify(message));
+    try {
+      websocket.send(Protocol.serializeMessage(message));
+    } catch (error) {
+      // Too large to send: report that instead of the result
+      if (message.id === undefined) throw error;
+      websocket.send(JSON.stringify({ id: message.id, error: Protocol.toErrorPayload(error) }));
+    }
   }
 }
 
-async function handlePluginMessage(message) {
-  console.log('Received from plugin:', message);
-  
-  let response = { id: message.id };
-  
+function getMatchOptions(message) {
+  return {
+    matchMode: message.matchMode,
+    matchPattern: message.matchPattern,
+    incognito: message.incognito
+  };
+}
+
+// Requests the plugin may send: action -> handler returning the response fields.
+// The keys are also the capabilities announced in hello.
+const REQUEST_HANDLERS = {
+  getTabs: async () => ({ tabs: await getAllTabs() }),
+  switchToURL: async (message) => ({
+    result: await switchToURL(message.url, { ...getMatchOptions(message), placement: message.placement })
+  }),
+  findBestTab: async (message) => ({ match: await findTabByURL(message.url, getMatchOptions(message)) }),
+  findTabs: (message) => findAllTabsByURL(message.url, getMatchOptions(message)),
+  activateTab: async (message) => ({ result: await activateTab(message.tabId, message.windowId) }),
+  openURL: async (message) => ({
+    result: { ...await openURL(message.url, message.placement, message.incognito), action: 'opened' }
+  }),
+  closeTab: async (message) => ({ result: await closeMatchingTab(message.url, getMatchOptions(message)) }),
+  closeTabs: async (message) => ({ result: await closeAllMatchingTabs(message.url, getMatchOptions(message)) }),
+  reloadTab: async (message) => ({
+    result: await reloadMatchingTab(message.url, {
+      ...getMatchOptions(message),
+      bypassCache: message.bypassCache
+    })
+  }),
+  togglePin: async (message) => ({ result: await togglePinMatchingTab(message.url, getMatchOptions(message)) }),
+  toggleMute: async (message) => ({ result: await toggleMuteMatchingTab(message.url, getMatchOptions(message)) }),
+  duplicateTab: async (message) => ({ result: await duplicateMatchingTab(message.url, getMatchOptions(message)) }),
+  moveToNewWindow: async (message) => ({ result: await moveMatchingTabToNewWindow(message.url, getMatchOptions(message)) }),
+  getFavicon: async (message) => ({ result: await getMatchingTabFavicon(message.url, getMatchOptions(message)) }),
+  getTabStates: async (message) => ({ states: await getTabStates(message.targets) }),
+  getActiveTab: async () => ({ tab: await getActiveTab() }),
+  openWorkspace: async (message) => ({
+    result: await openWorkspace(getWorkspaceURLs(message), {
+      layout: message.layout,
+      groupName: message.groupName,
+      groupColor: message.groupColor
+    })
+  }),
+  closeWorkspace: async (message) => ({
+    result: await closeWorkspace(getWorkspaceURLs(message))
+  }),
+  captureSession: async () => ({ windows: await captureSession() }),
+  restoreSession: async (message) => ({ result: await restoreSession(message.windows) }),
+  ping: async () => ({ result: 'pong' })
+};
+
+// A plugin whose protocol we can't speak: say so in the popup and stop
+// reconnecting until the popup or a worker restart tries again. The socket
+// is detached first so its close doesn't schedule a reconnect.
+function refuseIncompatiblePlugin(reason) {
+  logger.error(`Plugin protocol mismatch: ${reason}`);
+  authState = 'incompatible';
+  authError = reason;
+  clearReconnectTimer();
+  clearChallengeTimer();
+  stopKeepAlive();
+  portCandidates = [];
+  pluginProtocol = null;
+  const socket = websocket;
+  websocket = null;
+  if (socket) {
+    socket.onclose = null;
+    socket.onmessage = null;
+    socket.close();
+  }
+}
+
+async function handleControlMessage(message) {
   switch (message.action) {
-    case 'getTabs':
-      response.tabs = await getAllTabs();
-      break;
-      
-    case 'switchToURL':
-      response.result = await switchToURL(message.url);
-      break;
+    case 'challenge':
+      clearChallengeTimer();
+      challengeReceived = true;
+      pluginPort = connectingPort;
+      // Refuse a plugin too old for us before handing it anything
+      if (message.protocolVersion !== undefined) {
+        try {
+          Protocol.negotiateVersion(message.protocolVersion);
+        } catch (error) {
+          refuseIncompatiblePlugin(error.message);
+          return;
+        }
+      }
+      return answerChallenge(message.nonce);
       
-    case 'activateTab':
-      response.result = await activateTab(message.tabId, message.windowId);
-      break;
+    case 'authenticated':
+      logger.info('Paired with StreamDeck plugin');
+      authState = 'authenticated';
+      authError = '';
+      reconnectAttempts = 0;
+      resetHealth();
+      startKeepAlive();
+      await sendHello();
+      sendPing(); // First round-trip measurement right away
+      return;
       
-    case 'ping':
-      response.result = 'pong';
-      break;
+    case 'welcome':
+      pluginProtocol = {
+        protocolVersion: message.protocolVersion,
+        capabilities: message.capabilities
+      };
+      logger.info(`Plugin speaks protocol version ${message.protocolVersion}`);
+      return;
       
-    default:
-      response.error = 'Unknown action: ' + message.action;
+    case 'pong':
+      onPong();
+      return;
+  }
+}
+
+async function handlePluginMessage(message) {
+  logger.debug(`Received from plugin: ${JSON.stringify(message)}`, { cid: message.cid });
+  
+  let kind;
+  try {
+    kind = Protocol.classifyMessage(message);
+    if (kind === 'control') {
+      Protocol.validateControl(message);
+    }
+  } catch (error) {
+    logger.error(`Invalid message from plugin: ${error.message}`);
+    if (error.code === Protocol.ERROR_CODES.UNSUPPORTED_VERSION) {
+      refuseIncompatiblePlugin(error.message);
+    }
+    return;
+  }
+  
+  if (kind === 'control') {
+    await handleControlMessage(message);
+    return;
+  }
+  
+  if (authState !== 'authenticated' || kind !== 'request') {
+    return;
+  }
+  
+  // The response repeats the request's correlation id, so the plugin can log it
+  const fields = { cid: typeof message.cid === 'string' ? message.cid : undefined };
+  const started = Date.now();
+  let response;
+  try {
+    Protocol.validateRequest(message);
+    if (!Object.hasOwn(REQUEST_HANDLERS, message.action)) {
+      throw new Protocol.ProtocolError(Protocol.ERROR_CODES.UNSUPPORTED_ACTION, 'Not supported: ' + message.action);
+    }
+    response = { id: message.id, ...await REQUEST_HANDLERS[message.action](message) };
+    // Background refreshes carry no correlation id and would flood the console
+    logger.log(fields.cid ? 'info' : 'debug', `${message.action} handled`, { ...fields, ms: Date.now() - started });
+  } catch (error) {
+    response = { id: message.id, error: Protocol.toErrorPayload(error) };
+    logger.warn(`${message.action} failed: [${response.error.code}] ${response.error.message}`, fields);
   }
+  if (fields.cid) response.cid = fields.cid;
   
   sendToPlugin(response);
 }
@@ -217,10 +1251,42 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         
       case 'getStatus':
         sendResponse({ 
-          pluginConnected: websocket && websocket.readyState === WebSocket.OPEN
+          pluginConnected: authState === 'authenticated' && websocket && websocket.readyState === WebSocket.OPEN,
+          authState,
+          authError,
+          port: pluginPort,
+          configuredPort: (await chrome.storage.local.get('configuredPort')).configuredPort || null,
+          health: {
+            rtt: health.rtt,
+            lastPongAt: health.lastPongAt,
+            missedPongs: health.missedPongs,
+            reconnectAttempts,
+            nextReconnectAt
+          },
+          paired: !!(await chrome.storage.local.get('pairingSecret')).pairingSecret,
+          identity: await getIdentity(),
+          logLevel: logger.level
         });
         break;
         
+      case 'setPairingSecret':
+        await setPairingSecret(message.secret);
+        sendResponse({ success: true });
+        break;
+        
+      case 'setPluginPort':
+        await setPluginPort(message.port);
+        sendResponse({ success: true });
+        break;
+        
+      case 'setProfileName':
+        sendResponse({ identity: await setProfileName(message.profileName) });
+        break;
+        
+      case 'setLogLevel':
+        sendResponse({ logLevel: await setLogLevel(message.level) });
+        break;
+        
       default:
         sendResponse({ error: 'Unknown action' });
     }
@@ -233,7 +1299,33 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 // Initialize
 // ============================================================
 
+// A periodic alarm starts the worker again after Chrome stops it; being
+// started runs this script, which reconnects. While awake, the alarm also
+// catches a link that died without a close event.
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== WAKE_ALARM) return;
+  if (authState === 'unpaired' || authState === 'rejected' || authState === 'incompatible') return; // Waits for the popup
+  
+  if (!websocket) {
+    clearReconnectTimer();
+    connectWebSocket();
+  } else if (authState === 'authenticated') {
+    sendPing();
+  }
+});
+
+chrome.alarms.get(WAKE_ALARM).then((alarm) => {
+  if (!alarm) {
+    chrome.alarms.create(WAKE_ALARM, { periodInMinutes: WAKE_ALARM_MINUTES });
+  }
+});
+
+// Log at the level saved from the popup; the default until it is read
+chrome.storage.local.get('logLevel').then(({ logLevel }) => {
+  if (logLevel) logger.setLevel(logLevel);
+});
+
 // Connect to StreamDeck plugin WebSocket server
 connectWebSocket();
 
-console.log('StreamDeck URL Switcher extension loaded');
+logger.info('StreamDeck URL Switcher extension loaded');
@@ -5,16 +5,77 @@ document.addEventListener('DOMContentLoaded', async () => {
   const tabsListEl = document.getElementById('tabsList');
   const urlInput = document.getElementById('urlInput');
   const switchBtn = document.getElementById('switchBtn');
+  const identityEl = document.getElementById('identity');
+  const profileInput = document.getElementById('profileInput');
+  const profileBtn = document.getElementById('profileBtn');
+  
+  const secretInput = document.getElementById('secretInput');
+  const pairBtn = document.getElementById('pairBtn');
+  const portInput = document.getElementById('portInput');
+  const portBtn = document.getElementById('portBtn');
+  const logLevelSelect = document.getElementById('logLevelSelect');
   
   // Check StreamDeck plugin connection status
   const status = await chrome.runtime.sendMessage({ action: 'getStatus' });
   if (status.pluginConnected) {
     statusEl.className = 'status connected';
-    statusEl.textContent = '✓ Connected to StreamDeck';
+    statusEl.textContent = `✓ Connected to StreamDeck (port ${status.port}${describeHealth(status.health)})`;
+  } else if (!status.paired || status.authState === 'unpaired') {
+    statusEl.className = 'status disconnected';
+    statusEl.textContent = '✗ Not paired - Paste the pairing secret from the Stream Deck settings below';
+  } else if (status.authState === 'incompatible') {
+    statusEl.className = 'status disconnected';
+    statusEl.textContent = `✗ Version mismatch (${status.authError}) - Update the extension and the Stream Deck plugin`;
+  } else if (status.authState === 'rejected') {
+    statusEl.className = 'status disconnected';
+    statusEl.textContent = `✗ Pairing rejected (${status.authError}) - Check the pairing secret`;
   } else {
     statusEl.className = 'status disconnected';
-    statusEl.textContent = '✗ StreamDeck not connected - Start StreamDeck';
+    statusEl.textContent = '✗ StreamDeck not connected - Start StreamDeck, or enter the port shown in its settings below';
+    if (status.health.nextReconnectAt) {
+      const seconds = Math.max(0, Math.round((status.health.nextReconnectAt - Date.now()) / 1000));
+      statusEl.textContent += ` (retrying in ${seconds}s)`;
+    }
+  }
+  
+  pairBtn.addEventListener('click', async () => {
+    const secret = secretInput.value.trim();
+    if (!secret) return;
+    
+    await chrome.runtime.sendMessage({ action: 'setPairingSecret', secret });
+    secretInput.value = '';
+    statusEl.className = 'status disconnected';
+    statusEl.textContent = 'Pairing... reopen this popup in a few seconds';
+  });
+  
+  portInput.value = status.configuredPort || '';
+  portBtn.addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({ action: 'setPluginPort', port: portInput.value.trim() });
+    statusEl.className = 'status disconnected';
+    statusEl.textContent = 'Reconnecting... reopen this popup in a few seconds';
+  });
+  
+  // Show how this browser identifies itself to the plugin
+  function showIdentity(identity) {
+    identityEl.textContent = `${identity.browser} · ID ${identity.instanceId.substring(0, 8)}`;
+    profileInput.value = identity.profile;
   }
+  showIdentity(status.identity);
+  
+  profileBtn.addEventListener('click', async () => {
+    const response = await chrome.runtime.sendMessage({ 
+      action: 'setProfileName', 
+      profileName: profileInput.value 
+    });
+    showIdentity(response.identity);
+  });
+  
+  // Saved as soon as it changes, like the plugin's Log Level
+  logLevelSelect.value = status.logLevel;
+  logLevelSelect.addEventListener('change', async () => {
+    const response = await chrome.runtime.sendMessage({ action: 'setLogLevel', level: logLevelSelect.value });
+    logLevelSelect.value = response.logLevel;
+  });
   
   // Load tabs
   async function loadTabs() {
@@ -71,6 +132,15 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
 });
 
+// Round trip of the last ping and any pings the plugin didn't answer
+function describeHealth(health) {
+  let text = health.rtt != null ? `, ${health.rtt} ms` : '';
+  if (health.missedPongs > 0) {
+    text += `, ${health.missedPongs} missed ping(s)`;
+  }
+  return text;
+}
+
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
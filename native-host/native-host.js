@@ -3,6 +3,8 @@
 
 const net = require('net');
 const path = require('path');
+const Protocol = require('./protocol');
+const { Logger } = require('./logger');
 
 // ============================================================
 // Chrome Native Messaging Protocol
@@ -13,20 +15,25 @@ function readNativeMessage(buffer) {
   if (buffer.length < 4) return null;
   
   const length = buffer.readUInt32LE(0);
+  if (length > Protocol.MAX_MESSAGE_BYTES) {
+    throw new Protocol.ProtocolError(
+      Protocol.ERROR_CODES.MESSAGE_TOO_LARGE,
+      `Native message of ${length} bytes exceeds ${Protocol.MAX_MESSAGE_BYTES}`
+    );
+  }
   if (buffer.length < 4 + length) return null;
   
-  const message = buffer.slice(4, 4 + length).toString('utf8');
   return {
-    message: JSON.parse(message),
+    message: Protocol.parseMessage(buffer.slice(4, 4 + length).toString('utf8')),
     bytesRead: 4 + length
   };
 }
 
 function writeNativeMessage(message) {
-  const json = JSON.stringify(message);
+  const json = Buffer.from(Protocol.serializeMessage(message), 'utf8');
   const buffer = Buffer.alloc(4 + json.length);
   buffer.writeUInt32LE(json.length, 0);
-  buffer.write(json, 4);
+  json.copy(buffer, 4);
   process.stdout.write(buffer);
 }
 
@@ -35,16 +42,22 @@ function writeNativeMessage(message) {
 // ============================================================
 
 const WebSocket = require('ws');
-const WS_PORT = 9334;
+// Preferred port; the next few are tried when it is taken, like the plugin does
+const WS_PORT = parseInt(process.env.URLSWITCHER_PORT, 10) || Protocol.DEFAULT_PORT;
 
 let wss = null;
 let wsClients = new Set();
 let pendingRequests = new Map();
 let requestId = 0;
 
-function startWebSocketServer() {
+function startWebSocketServer(ports = Protocol.candidatePorts(WS_PORT)) {
+  const port = ports[0];
   try {
-    wss = new WebSocket.Server({ port: WS_PORT });
+    wss = new WebSocket.Server({ port, maxPayload: Protocol.MAX_MESSAGE_BYTES });
+    
+    wss.on('listening', () => {
+      logSuccess(`WebSocket server listening on port ${port}`);
+    });
     
     wss.on('connection', (ws, req) => {
       const clientIp = req.socket.remoteAddress;
@@ -53,13 +66,16 @@ function startWebSocketServer() {
       log(`Active connections: ${wsClients.size}`);
       
       ws.on('message', (data) => {
+        let message;
         try {
-          const message = JSON.parse(data.toString());
-          logDebug(`← StreamDeck: ${JSON.stringify(message)}`);
-          handleStreamDeckMessage(ws, message);
+          message = Protocol.parseMessage(data);
         } catch (e) {
-          logError('Error parsing StreamDeck message: ' + e.message);
+          logError(`Rejected StreamDeck message: [${e.code}] ${e.message}`);
+          sendToStreamDeck(ws, { error: Protocol.toErrorPayload(e) });
+          return;
         }
+        logDebug(`← StreamDeck: ${JSON.stringify(message)}`);
+        handleStreamDeckMessage(ws, message);
       });
       
       ws.on('close', (code, reason) => {
@@ -74,31 +90,72 @@ function startWebSocketServer() {
     });
     
     wss.on('error', (error) => {
+      if (error.code === 'EADDRINUSE' && ports.length > 1) {
+        logWarn(`Port ${port} is in use, trying ${ports[1]}`);
+        wss.close();
+        startWebSocketServer(ports.slice(1));
+        return;
+      }
       logError('WebSocket server error: ' + error.message);
+      if (error.code === 'EADDRINUSE') {
+        logError(`No free port in ${Protocol.candidatePorts(WS_PORT).join(', ')}; set URLSWITCHER_PORT to another port`);
+      }
     });
-    
-    logSuccess(`WebSocket server listening on port ${WS_PORT}`);
   } catch (error) {
     logError(`Failed to start WebSocket server: ${error.message}`);
   }
 }
 
+function sendToStreamDeck(ws, message) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(Protocol.serializeMessage(message));
+  }
+}
+
+// Answer a client's hello with the protocol version both sides use
+function handleHello(ws, message) {
+  try {
+    const protocolVersion = Protocol.negotiateVersion(message.protocolVersion);
+    Protocol.validateControl(message);
+    sendToStreamDeck(ws, {
+      action: 'welcome',
+      protocolVersion,
+      capabilities: Object.keys(Protocol.REQUESTS)
+    });
+    logSuccess(`StreamDeck client speaks protocol v${protocolVersion}`);
+  } catch (error) {
+    logError(`Rejected StreamDeck client: [${error.code}] ${error.message}`);
+    ws.close(error.code === Protocol.ERROR_CODES.UNSUPPORTED_VERSION
+      ? Protocol.CLOSE_CODES.UNSUPPORTED_VERSION
+      : Protocol.CLOSE_CODES.PROTOCOL_ERROR, error.message);
+  }
+}
+
 function handleStreamDeckMessage(ws, message) {
-  log(`Processing action: ${message.action}${message.url ? ` for URL: ${message.url}` : ''}`);
+  if (message.action === 'hello' && message.id === undefined) {
+    handleHello(ws, message);
+    return;
+  }
   
-  // Forward to Chrome extension
+  try {
+    Protocol.validateRequest(message);
+  } catch (error) {
+    logError(`Invalid request from StreamDeck: [${error.code}] ${error.message}`);
+    sendToStreamDeck(ws, { id: message.id, error: Protocol.toErrorPayload(error) });
+    return;
+  }
+  
+  const fields = { cid: message.cid };
+  log(`Processing action: ${message.action}${message.url ? ` for URL: ${message.url}` : ''}`, 'INFO', fields);
+  
+  // Forward to Chrome extension under our own id, keeping the correlation id
   const id = ++requestId;
-  pendingRequests.set(id, { ws, originalId: message.id, timestamp: Date.now() });
+  const request = Protocol.createRequest(id, message.action, message, message.cid);
+  pendingRequests.set(id, { ws, originalId: message.id, timestamp: Date.now(), cid: message.cid });
   
-  logDebug(`→ Chrome: ${JSON.stringify({ id, action: message.action })}`);
+  logDebug(`→ Chrome: ${JSON.stringify({ id, action: message.action })}`, fields);
   
-  writeNativeMessage({
-    id: id,
-    action: message.action,
-    url: message.url,
-    tabId: message.tabId,
-    windowId: message.windowId
-  });
+  writeNativeMessage(request);
 }
 
 // ============================================================
@@ -111,7 +168,15 @@ process.stdin.on('data', (chunk) => {
   inputBuffer = Buffer.concat([inputBuffer, chunk]);
   
   while (true) {
-    const result = readNativeMessage(inputBuffer);
+    let result;
+    try {
+      result = readNativeMessage(inputBuffer);
+    } catch (error) {
+      // The length prefix can't be trusted any more, so drop what we have
+      logError(`Dropped Chrome input: [${error.code}] ${error.message}`);
+      inputBuffer = Buffer.alloc(0);
+      break;
+    }
     if (!result) break;
     
     inputBuffer = inputBuffer.slice(result.bytesRead);
@@ -122,10 +187,18 @@ process.stdin.on('data', (chunk) => {
 function handleChromeMessage(message) {
   logDebug(`← Chrome: ${JSON.stringify(message)}`);
   
+  try {
+    Protocol.validateResponse(message);
+  } catch (error) {
+    logError(`Invalid message from Chrome: [${error.code}] ${error.message}`);
+    return;
+  }
+  
   // Find pending request and respond to StreamDeck
   const pending = pendingRequests.get(message.id);
   if (pending) {
     const duration = Date.now() - pending.timestamp;
+    const fields = { cid: pending.cid, ms: duration };
     pendingRequests.delete(message.id);
     
     const response = {
@@ -134,17 +207,17 @@ function handleChromeMessage(message) {
     };
     
     if (pending.ws.readyState === WebSocket.OPEN) {
-      pending.ws.send(JSON.stringify(response));
+      sendToStreamDeck(pending.ws, response);
       
       if (message.result?.success) {
-        logSuccess(`Action completed: ${message.result.action || 'unknown'} (${duration}ms)`);
+        logSuccess(`Action completed: ${message.result.action || 'unknown'}`, fields);
       } else if (message.error) {
-        logError(`Action failed: ${message.error}`);
+        logError(`Action failed: ${Protocol.fromErrorPayload(message.error).message}`, fields);
       } else {
-        log(`Response sent to StreamDeck (${duration}ms)`);
+        log('Response sent to StreamDeck', 'INFO', fields);
       }
     } else {
-      logWarn('Cannot send response - StreamDeck WebSocket closed');
+      logWarn('Cannot send response - StreamDeck WebSocket closed', fields);
     }
   } else {
     logWarn(`Received response for unknown request ID: ${message.id}`);
@@ -155,56 +228,45 @@ function handleChromeMessage(message) {
 // Logging
 // ============================================================
 
-const fs = require('fs');
 const logFile = path.join(__dirname, 'native-host.log');
 
-function log(message, level = 'INFO') {
-  const timestamp = new Date().toISOString();
-  const line = `[${timestamp}] [${level}] ${message}`;
-  
-  // Write to file
-  fs.appendFileSync(logFile, line + '\n');
-  
-  // Also write to console with colors
-  const colors = {
-    INFO: '\x1b[36m',    // Cyan
-    ERROR: '\x1b[31m',   // Red
-    WARN: '\x1b[33m',    // Yellow
-    SUCCESS: '\x1b[32m', // Green
-    DEBUG: '\x1b[90m'    // Gray
-  };
-  const reset = '\x1b[0m';
-  const color = colors[level] || '';
-  
-  console.error(`${color}${line}${reset}`);
+// JSON lines in native-host.log, rotated by size. The console is stderr,
+// since stdout carries the native messages.
+const logger = new Logger({
+  component: 'native-host',
+  file: logFile,
+  level: process.env.URLSWITCHER_LOG_LEVEL,
+  output: { log: console.error, warn: console.error, error: console.error }
+});
+
+// fields are stored in the entry next to the message, e.g. { cid }
+function log(message, level = 'INFO', fields) {
+  logger.log(level, message, fields);
 }
 
-function logError(message) {
-  log(message, 'ERROR');
+function logError(message, fields) {
+  log(message, 'ERROR', fields);
 }
 
-function logWarn(message) {
-  log(message, 'WARN');
+function logWarn(message, fields) {
+  log(message, 'WARN', fields);
 }
 
-function logSuccess(message) {
-  log(message, 'SUCCESS');
+function logSuccess(message, fields) {
+  log(message, 'SUCCESS', fields);
 }
 
-function logDebug(message) {
-  log(message, 'DEBUG');
+function logDebug(message, fields) {
+  log(message, 'DEBUG', fields);
 }
 
 // ============================================================
 // Initialize
 // ============================================================
 
-console.error(''); // Blank line for readability
-log('═'.repeat(50));
 logSuccess('Native messaging host started');
 log(`Log file: ${logFile}`);
-log(`WebSocket port: ${WS_PORT}`);
-log('═'.repeat(50));
+log(`WebSocket port: ${WS_PORT} (falls back to the next ${Protocol.PORT_FALLBACK_COUNT})`);
 
 startWebSocketServer();
 
@@ -240,4 +302,5 @@ process.on('SIGINT', () => {
 
 process.on('exit', (code) => {
   log(`Native messaging host exiting with code ${code}`);
+  logger.flushSync(); // Queued lines would be lost otherwise
 });
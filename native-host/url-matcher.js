@@ -0,0 +1,175 @@
+// Generated from shared/url-matcher.js by scripts/sync-shared.js - do not edit
+
+// StreamDeck URL Switcher - URL Matching
+// The extension matches and ranks tabs with it; the plugin ranks the best
+// matches of several browsers with the same compareScores.
+// Each component ships its own copy; run `node scripts/sync-shared.js` after editing.
+
+const MATCH_MODES = ['smart', 'exact', 'prefix', 'domain', 'regex', 'glob'];
+const DEFAULT_MATCH_MODE = 'smart';
+
+function normalizeURL(url) {
+  if (!url) return '';
+  let normalized = url.toLowerCase();
+  normalized = normalized.replace(/^https?:\/\//, '');
+  normalized = normalized.replace(/^www\./, '');
+  normalized = normalized.replace(/\/$/, '');
+  normalized = normalized.replace(/#.*$/, '');
+  return normalized;
+}
+
+// Host part of a URL, without www. Accepts URLs with or without a protocol.
+function getHost(url) {
+  if (!url) return '';
+  try {
+    const withProtocol = /^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : 'https://' + url;
+    return new URL(withProtocol).host.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+// Convert a wildcard pattern (* = any run of characters, ? = one character)
+// into a regular expression over normalized URLs
+function globToRegExp(glob) {
+  const source = normalizeURL(glob)
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp('^' + source + '$');
+}
+
+// Build a predicate that tests a tab URL against the target for a match mode.
+// Throws if the mode is unknown or a regex pattern does not compile.
+function createMatcher(target, mode = DEFAULT_MATCH_MODE) {
+  const normalizedTarget = normalizeURL(target);
+
+  switch (mode || DEFAULT_MATCH_MODE) {
+    case 'smart':
+      // Target is prefix of tab URL or vice versa
+      return (tabURL) => {
+        const normalizedTab = normalizeURL(tabURL);
+        return normalizedTab === normalizedTarget ||
+          normalizedTab.startsWith(normalizedTarget) ||
+          normalizedTarget.startsWith(normalizedTab);
+      };
+
+    case 'exact':
+      return (tabURL) => normalizeURL(tabURL) === normalizedTarget;
+
+    case 'prefix':
+      // Tab URL starts with the target and continues at a path/query boundary
+      return (tabURL) => {
+        const normalizedTab = normalizeURL(tabURL);
+        if (normalizedTab === normalizedTarget) return true;
+        if (!normalizedTab.startsWith(normalizedTarget)) return false;
+        return ['/', '?', '&'].includes(normalizedTab[normalizedTarget.length]);
+      };
+
+    case 'domain': {
+      const targetHost = getHost(target);
+      return (tabURL) => targetHost !== '' && getHost(tabURL) === targetHost;
+    }
+
+    case 'regex': {
+      const regex = new RegExp(target, 'i');
+      return (tabURL) => regex.test(tabURL || '');
+    }
+
+    case 'glob': {
+      const regex = globToRegExp(target);
+      return (tabURL) => regex.test(normalizeURL(tabURL));
+    }
+
+    default:
+      throw new Error('Unknown match mode: ' + mode);
+  }
+}
+
+function matchesURL(tabURL, target, mode = DEFAULT_MATCH_MODE) {
+  return createMatcher(target, mode)(tabURL);
+}
+
+// ============================================================
+// Ranking
+// ============================================================
+
+// Higher is better
+const MATCH_KIND_RANK = {
+  exact: 3,   // Same normalized URL
+  prefix: 2,  // One URL is a prefix of the other
+  pattern: 1  // Matched only through domain/regex/glob rules
+};
+
+function classifyMatch(tabURL, targetURL) {
+  const normalizedTab = normalizeURL(tabURL);
+  const normalizedTarget = normalizeURL(targetURL);
+
+  if (normalizedTab === normalizedTarget) return 'exact';
+  if (normalizedTab && normalizedTarget &&
+      (normalizedTab.startsWith(normalizedTarget) || normalizedTarget.startsWith(normalizedTab))) {
+    return 'prefix';
+  }
+  return 'pattern';
+}
+
+// Number of leading host/path segments two URLs have in common
+function countSharedSegments(tabURL, targetURL) {
+  const tabParts = normalizeURL(tabURL).split('/');
+  const targetParts = normalizeURL(targetURL).split('/');
+  let shared = 0;
+  while (shared < tabParts.length && shared < targetParts.length &&
+         tabParts[shared] !== '' && tabParts[shared] === targetParts[shared]) {
+    shared++;
+  }
+  return shared;
+}
+
+function scoreTab(tab, targetURL, lastUsed = 0) {
+  return {
+    kind: classifyMatch(tab.url, targetURL),
+    sharedSegments: countSharedSegments(tab.url, targetURL),
+    lastUsed: lastUsed
+  };
+}
+
+// Sort comparator: negative when score a ranks ahead of score b
+function compareScores(a, b) {
+  return ((MATCH_KIND_RANK[b.kind] || 0) - (MATCH_KIND_RANK[a.kind] || 0)) ||
+    (b.sharedSegments - a.sharedSegments) ||
+    (b.lastUsed - a.lastUsed);
+}
+
+// Rank the tabs accepted by `matches` against targetURL, best first.
+// lastUsedById maps tab id -> last activation time; tab.lastAccessed is the fallback.
+// Ties keep the order of the input array.
+function rankTabs(tabs, targetURL, matches, lastUsedById = new Map()) {
+  return tabs
+    .filter(tab => matches(tab.url))
+    .map(tab => ({
+      tab,
+      score: scoreTab(tab, targetURL, lastUsedById.get(tab.id) || tab.lastAccessed || 0)
+    }))
+    .sort((a, b) => compareScores(a.score, b.score));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MATCH_MODES,
+    DEFAULT_MATCH_MODE,
+    normalizeURL,
+    getHost,
+    globToRegExp,
+    createMatcher,
+    matchesURL,
+    classifyMatch,
+    countSharedSegments,
+    scoreTab,
+    compareScores,
+    rankTabs
+  };
+}
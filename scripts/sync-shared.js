@@ -0,0 +1,29 @@
+// Copy shared modules into each component
+// Usage: node scripts/sync-shared.js
+//
+// The extension, the plugin and the native host are installed separately,
+// so each needs its own copy of shared/*.js. Edit the files in shared/ and
+// run this script; never edit the copies.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const SHARED_DIR = path.join(ROOT_DIR, 'shared');
+const TARGET_DIRS = [
+  path.join(ROOT_DIR, 'chrome-extension'),
+  path.join(ROOT_DIR, 'streamdeck-plugin', 'com.streamdeck.urlswitcher.sdPlugin'),
+  path.join(ROOT_DIR, 'native-host')
+];
+
+const files = fs.readdirSync(SHARED_DIR).filter(file => file.endsWith('.js'));
+
+for (const file of files) {
+  const source = fs.readFileSync(path.join(SHARED_DIR, file), 'utf8');
+  const header = `// Generated from shared/${file} by scripts/sync-shared.js - do not edit\n\n`;
+
+  for (const dir of TARGET_DIRS) {
+    fs.writeFileSync(path.join(dir, file), header + source);
+    console.log(`✓ ${path.relative(ROOT_DIR, path.join(dir, file))}`);
+  }
+}
@@ -0,0 +1,129 @@
+// Command line client for the Stream Deck plugin's HTTP control API
+// Usage:
+//   node scripts/urlswitch.js <url> [--matchMode prefix] [--browser edge]   switch to a tab or open it
+//   node scripts/urlswitch.js <action> [--field value ...]                  any request, e.g. getTabs
+//   node scripts/urlswitch.js browsers                                      connected browsers
+//
+// Field values that look like numbers, booleans or JSON are sent as such.
+// The pairing secret from the key settings goes in URLSWITCHER_SECRET (or
+// --secret); URLSWITCHER_API_PORT (or --port) picks the API port.
+// Prints the JSON result. Exits with 1 when the request or its result failed.
+
+const http = require('http');
+const Protocol = require('../shared/protocol');
+
+const REQUEST_TIMEOUT = 70000; // ms; restoring a snapshot may take a minute
+
+function usage(message) {
+  if (message) console.error(message + '\n');
+  console.error('Usage: node scripts/urlswitch.js <url | action | browsers> [--field value ...]');
+  console.error('Actions: ' + Object.keys(Protocol.REQUESTS).join(', '));
+  process.exit(2);
+}
+
+// '--matchMode exact' or '--matchMode=exact' -> { matchMode: 'exact' }
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const equals = arg.indexOf('=');
+    if (equals !== -1) {
+      options[arg.slice(2, equals)] = arg.slice(equals + 1);
+    } else if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+      options[arg.slice(2)] = args[++i];
+    } else {
+      options[arg.slice(2)] = true;
+    }
+  }
+  return { positional, options };
+}
+
+function parseValue(text) {
+  if (typeof text !== 'string') return text;
+  if (/^(true|false|null|-?\d+(\.\d+)?)$/.test(text) || /^[[{]/.test(text)) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      usage(`Invalid JSON value: ${text}`);
+    }
+  }
+  return text;
+}
+
+function request(port, secret, action, fields) {
+  return new Promise((resolve, reject) => {
+    const body = action === 'browsers' ? '' : JSON.stringify(fields);
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      path: '/v1/' + encodeURIComponent(action),
+      method: action === 'browsers' ? 'GET' : 'POST',
+      timeout: REQUEST_TIMEOUT,
+      headers: {
+        Authorization: `Bearer ${secret}`,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) });
+        } catch (error) {
+          reject(new Error(`Unexpected answer (HTTP ${res.statusCode}): ${error.message}`));
+        }
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error(`No answer within ${REQUEST_TIMEOUT / 1000}s`)));
+    req.on('error', (error) => {
+      reject(error.code === 'ECONNREFUSED'
+        ? new Error(`Nothing listens on port ${port}; is Stream Deck running with the HTTP API on?`)
+        : error);
+    });
+    req.end(body);
+  });
+}
+
+async function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  const { secret = process.env.URLSWITCHER_SECRET, port: portOption, help, ...rest } = options;
+  if (help || positional.length === 0) usage();
+  if (positional.length > 1) usage(`Unexpected argument: ${positional[1]}`);
+  if (!secret) usage('Set URLSWITCHER_SECRET (or --secret) to the pairing secret shown in the key settings.');
+
+  const port = parseInt(portOption || process.env.URLSWITCHER_API_PORT, 10) || Protocol.DEFAULT_API_PORT;
+  if (!Protocol.isValidPort(port)) usage(`Invalid port: ${port}`);
+
+  const fields = {};
+  for (const [name, value] of Object.entries(rest)) {
+    fields[name] = parseValue(value);
+  }
+
+  // A URL is short for switchToURL
+  let action = positional[0];
+  if (action !== 'browsers' && !Protocol.isKnownRequest(action)) {
+    fields.url = action;
+    action = 'switchToURL';
+  }
+
+  const { status, body } = await request(port, String(secret), action, fields);
+  if (body.error) {
+    console.error(`${action} failed (HTTP ${status}): [${body.error.code}] ${body.error.message}`);
+    process.exit(1);
+  }
+  console.log(JSON.stringify(body, null, 2));
+  if (body.result && body.result.success === false) {
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
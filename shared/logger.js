@@ -0,0 +1,209 @@
+// StreamDeck URL Switcher - Logging
+// Shared by the Stream Deck plugin, the browser extension and the native host.
+// Each component ships its own copy; run `node scripts/sync-shared.js` after editing.
+//
+// Every entry is one JSON object per line of the log file:
+//   {"time":"2026-01-01T12:00:00.000Z","level":"info","component":"plugin","message":"...","cid":"3f9a2c1e"}
+// cid (correlation id) is set on everything logged for one key press, in the
+// plugin and in the extension, so its lines can be picked out of both logs.
+// Files are written in the background and rotated by size; in the browser,
+// where there are no files, entries only go to the console.
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const DEFAULT_LOG_LEVEL = 'info';
+const MAX_LOG_BYTES = 1024 * 1024; // The file is rotated to <file>.1 beyond this
+const LOG_FILES_KEPT = 3;          // Rotated files kept: <file>.1 (newest) to <file>.3
+const RECENT_LOG_ENTRIES = 500;    // Entries kept in memory for the property inspector
+
+// Level names older callers use
+const LEVEL_ALIASES = { success: 'info' };
+
+// 'WARN' -> 'warn', 'SUCCESS' -> 'info'; unknown names -> null
+function normalizeLevel(level) {
+  const name = String(level || '').toLowerCase();
+  const normalized = LEVEL_ALIASES[name] || name;
+  return LOG_LEVELS.includes(normalized) ? normalized : null;
+}
+
+// Short random id for one key press or request
+function createCorrelationId() {
+  return Math.random().toString(16).slice(2, 10).padEnd(8, '0');
+}
+
+// Human readable form for the console: '[WARN] message (cid 3f9a2c1e)'
+function formatEntry(entry) {
+  const { time, level, component, message, ...fields } = entry;
+  const extra = Object.entries(fields)
+    .map(([name, value]) => `${name} ${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(', ');
+  return `[${level.toUpperCase()}] ${message}${extra ? ` (${extra})` : ''}`;
+}
+
+class Logger {
+  // component: name stored in each entry ('plugin', 'extension', 'native-host')
+  // file: path of the JSON-lines log file (Node only); null logs to the console only
+  // output: console-like object entries are printed to, or null for none
+  constructor({
+    component,
+    file = null,
+    level = DEFAULT_LOG_LEVEL,
+    output = console,
+    maxBytes = MAX_LOG_BYTES,
+    filesKept = LOG_FILES_KEPT,
+    recentEntries = RECENT_LOG_ENTRIES
+  }) {
+    this.component = component;
+    this.level = normalizeLevel(level) || DEFAULT_LOG_LEVEL;
+    this.output = output;
+    this.maxBytes = maxBytes;
+    this.filesKept = filesKept;
+    this.recentEntries = recentEntries;
+    this.recent = [];        // Latest entries of any level, oldest first
+    this.getContext = null;  // Returns fields added to every entry, e.g. () => ({ cid })
+
+    this.fs = null;
+    this.file = null;
+    this.size = 0;           // Bytes in file, including queued lines
+    this.queue = [];         // Lines waiting to be appended
+    this.writing = false;
+    if (file) this.setFile(file);
+  }
+
+  setFile(file) {
+    this.fs = require('fs');
+    this.file = file;
+    try {
+      this.size = this.fs.statSync(file).size;
+    } catch {
+      this.size = 0;
+    }
+  }
+
+  // Entries below level are dropped. Returns the level now in effect.
+  setLevel(level) {
+    this.level = normalizeLevel(level) || DEFAULT_LOG_LEVEL;
+    return this.level;
+  }
+
+  isEnabled(level) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+  }
+
+  // fields are stored in the entry next to the message, e.g. { cid, ms }
+  log(level, message, fields = {}) {
+    const name = normalizeLevel(level) || 'info';
+    if (!this.isEnabled(name)) return null;
+
+    const context = this.getContext ? this.getContext() : {};
+    const entry = {
+      time: new Date().toISOString(),
+      level: name,
+      component: this.component,
+      message: String(message),
+      ...context,
+      ...fields
+    };
+    for (const field of Object.keys(entry)) {
+      if (entry[field] === undefined) delete entry[field];
+    }
+    this.recent.push(entry);
+    if (this.recent.length > this.recentEntries) this.recent.shift();
+
+    if (this.output) {
+      const print = this.output[name === 'debug' || name === 'info' ? 'log' : name] || this.output.log;
+      print.call(this.output, formatEntry(entry));
+    }
+    if (this.file) this.append(JSON.stringify(entry) + '\n');
+    return entry;
+  }
+
+  debug(message, fields) { return this.log('debug', message, fields); }
+  info(message, fields) { return this.log('info', message, fields); }
+  warn(message, fields) { return this.log('warn', message, fields); }
+  error(message, fields) { return this.log('error', message, fields); }
+
+  // The latest entries at level or above, oldest first
+  getRecent(limit = this.recentEntries, level = 'debug') {
+    const minimum = LOG_LEVELS.indexOf(normalizeLevel(level) || 'debug');
+    return this.recent
+      .filter(entry => LOG_LEVELS.indexOf(entry.level) >= minimum)
+      .slice(-limit);
+  }
+
+  // ============================================================
+  // File output
+  // ============================================================
+
+  // Lines are appended in batches, one write at a time, so logging never
+  // blocks and lines keep their order
+  append(line) {
+    this.queue.push(line);
+    if (!this.writing) this.writeQueued();
+  }
+
+  writeQueued() {
+    if (this.queue.length === 0) return;
+    const text = this.queue.join('');
+    this.queue = [];
+    this.writing = true;
+    this.rotateIfNeeded(Buffer.byteLength(text));
+
+    this.fs.appendFile(this.file, text, (error) => {
+      this.writing = false;
+      if (error && this.output) {
+        this.output.error(`[ERROR] Cannot write ${this.file}: ${error.message}`);
+      }
+      this.writeQueued();
+    });
+  }
+
+  // Write whatever is still queued right away, e.g. before the process exits
+  flushSync() {
+    if (!this.file || this.queue.length === 0) return;
+    const text = this.queue.join('');
+    this.queue = [];
+    if (this.writing) {
+      this.size += Buffer.byteLength(text); // Rotating now would rename the file being written
+    } else {
+      this.rotateIfNeeded(Buffer.byteLength(text));
+    }
+    try {
+      this.fs.appendFileSync(this.file, text);
+    } catch {
+      // Nothing left to report it to
+    }
+  }
+
+  // Called only between writes, so no write is in flight on the renamed file.
+  // <file>.2 -> <file>.3, <file>.1 -> <file>.2, <file> -> <file>.1
+  rotateIfNeeded(bytes) {
+    if (this.size > 0 && this.size + bytes > this.maxBytes) {
+      for (let index = this.filesKept - 1; index >= 0; index--) {
+        const from = index === 0 ? this.file : `${this.file}.${index}`;
+        try {
+          this.fs.renameSync(from, `${this.file}.${index + 1}`);
+        } catch {
+          // Not there yet
+        }
+      }
+      this.size = 0;
+    }
+    this.size += bytes;
+  }
+}
+
+const Logging = {
+  LOG_LEVELS,
+  DEFAULT_LOG_LEVEL,
+  MAX_LOG_BYTES,
+  LOG_FILES_KEPT,
+  RECENT_LOG_ENTRIES,
+  Logger,
+  normalizeLevel,
+  createCorrelationId,
+  formatEntry
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Logging;
+}
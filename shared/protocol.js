@@ -0,0 +1,327 @@
+// StreamDeck URL Switcher - Message Protocol
+// Shared by the Stream Deck plugin, the browser extension and the native host.
+// Each component ships its own copy; run `node scripts/sync-shared.js` after editing.
+
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 2;       // Oldest peer version still accepted
+const MAX_MESSAGE_BYTES = 1024 * 1024; // Larger messages are rejected unparsed
+
+// The plugin listens on its configured port, or the first free one after it;
+// the extension scans the same range
+const DEFAULT_PORT = 9334;
+const PORT_FALLBACK_COUNT = 4;
+
+// The plugin's HTTP control API (scripts/urlswitch.js) listens here, on localhost only
+const DEFAULT_API_PORT = 9340;
+
+// The extension pings this often; the plugin drops connections silent for three intervals
+const PING_INTERVAL_MS = 20000;
+
+// Typed error codes carried in { error: { code, message } }
+const ERROR_CODES = {
+  INVALID_JSON: 'INVALID_JSON',
+  MESSAGE_TOO_LARGE: 'MESSAGE_TOO_LARGE',
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+  UNSUPPORTED_ACTION: 'UNSUPPORTED_ACTION',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  NOT_CONNECTED: 'NOT_CONNECTED',
+  TIMEOUT: 'TIMEOUT',
+  EXPIRED: 'EXPIRED',
+  QUEUE_FULL: 'QUEUE_FULL',
+  CANCELLED: 'CANCELLED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+// WebSocket close codes used by the plugin
+const CLOSE_CODES = {
+  AUTH_FAILED: 4001,
+  UNSUPPORTED_VERSION: 4002,
+  PROTOCOL_ERROR: 4003
+};
+
+// Field types: 'string', 'number', 'boolean', 'array', 'object'; a leading '?' makes a field optional
+// incognito: 'normal' or 'incognito' limits matching to tabs of that kind
+const MATCH_FIELDS = { url: 'string', matchMode: '?string', matchPattern: '?string', incognito: '?string' };
+
+// Requests from the plugin to the extension, answered with { id, ... }
+const REQUESTS = {
+  getTabs: {},
+  switchToURL: { ...MATCH_FIELDS, placement: '?object' },
+  findTabs: MATCH_FIELDS,
+  findBestTab: MATCH_FIELDS,
+  activateTab: { tabId: 'number', windowId: 'number' },
+  openURL: { url: 'string', placement: '?object', incognito: '?string' }, // placement: { mode, windowName, left, top, width, height }
+  closeTab: MATCH_FIELDS,
+  closeTabs: MATCH_FIELDS,
+  reloadTab: { ...MATCH_FIELDS, bypassCache: '?boolean' },
+  togglePin: MATCH_FIELDS,
+  toggleMute: MATCH_FIELDS,
+  duplicateTab: MATCH_FIELDS,
+  moveToNewWindow: MATCH_FIELDS,
+  getFavicon: MATCH_FIELDS,
+  getTabStates: { targets: 'array' },
+  getActiveTab: {},
+  openWorkspace: {
+    urls: 'array',
+    layout: '?string',     // 'window' (default), 'newWindow' or 'group'
+    groupName: '?string',
+    groupColor: '?string'
+  },
+  closeWorkspace: { urls: 'array' },
+  captureSession: {},
+  restoreSession: { windows: 'array' },
+  ping: {}
+};
+
+// Connection control messages, outside request/response
+const CONTROL = {
+  challenge: { nonce: 'string', protocolVersion: '?number' },
+  authenticate: { response: 'string' },
+  authenticated: {},
+  hello: {
+    protocolVersion: 'number',
+    capabilities: 'array',
+    browser: '?string',
+    profile: '?string',
+    instanceId: '?string',
+    incognitoAccess: '?boolean'  // Whether the extension may see and open incognito tabs
+  },
+  welcome: { protocolVersion: 'number', capabilities: 'array' },
+  ping: { rtt: '?number', missedPongs: '?number' }, // Extension's view of the link health
+  pong: {}
+};
+
+// Unsolicited events from the extension
+const EVENTS = {
+  tabsChanged: {},
+  browserFocused: {}
+};
+
+class ProtocolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+  }
+}
+
+// Wire form of an error, for { error } fields
+function toErrorPayload(error) {
+  return {
+    code: typeof error.code === 'string' ? error.code : ERROR_CODES.INTERNAL_ERROR, // DOMException codes are numbers
+    message: error.message || String(error)
+  };
+}
+
+// Wire form -> ProtocolError. Only { code, message } objects are valid (see
+// validateResponse); peers that sent bare strings predate MIN_PROTOCOL_VERSION.
+function fromErrorPayload(error) {
+  return new ProtocolError(error.code, error.message);
+}
+
+// Schema of name in one of the tables below, or null. Only own entries count,
+// so names such as 'constructor' or 'toString' are unknown.
+function lookup(table, name) {
+  return typeof name === 'string' && Object.hasOwn(table, name) ? table[name] : null;
+}
+
+function byteLength(text) {
+  return typeof TextEncoder !== 'undefined'
+    ? new TextEncoder().encode(text).length
+    : Buffer.byteLength(text, 'utf8');
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function validateFields(message, schema, label) {
+  for (const [field, spec] of Object.entries(schema)) {
+    const optional = spec.startsWith('?');
+    const type = optional ? spec.slice(1) : spec;
+    const value = message[field];
+
+    if (value === undefined || value === null) {
+      if (optional) continue;
+      throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, `${label}: missing field "${field}"`);
+    }
+    if (typeOf(value) !== type) {
+      throw new ProtocolError(
+        ERROR_CODES.INVALID_MESSAGE,
+        `${label}: field "${field}" must be ${type}, got ${typeOf(value)}`
+      );
+    }
+  }
+}
+
+// Text from the socket -> message object. Throws ProtocolError.
+function parseMessage(data) {
+  const text = typeof data === 'string' ? data : data.toString();
+  if (byteLength(text) > MAX_MESSAGE_BYTES) {
+    throw new ProtocolError(ERROR_CODES.MESSAGE_TOO_LARGE, `Message exceeds ${MAX_MESSAGE_BYTES} bytes`);
+  }
+
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (error) {
+    throw new ProtocolError(ERROR_CODES.INVALID_JSON, 'Message is not valid JSON: ' + error.message);
+  }
+  if (typeOf(message) !== 'object') {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Message must be a JSON object');
+  }
+  return message;
+}
+
+// Message object -> text for the socket. Throws ProtocolError if too large.
+function serializeMessage(message) {
+  const text = JSON.stringify(message);
+  if (byteLength(text) > MAX_MESSAGE_BYTES) {
+    throw new ProtocolError(ERROR_CODES.MESSAGE_TOO_LARGE, `Message exceeds ${MAX_MESSAGE_BYTES} bytes`);
+  }
+  return text;
+}
+
+// What kind of message this is: 'request', 'response', 'event' or 'control'
+function classifyMessage(message) {
+  if (typeof message.event === 'string') return 'event';
+  if (message.id !== undefined && typeof message.action === 'string') return 'request';
+  if (message.id !== undefined) return 'response';
+  if (typeof message.action === 'string') return 'control';
+  throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Message has no action, event or id');
+}
+
+// Requests may carry the correlation id of the key press they serve (see
+// logger.js); the response repeats it
+function validateCorrelationId(message) {
+  if (message.cid !== undefined && typeof message.cid !== 'string') {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Correlation id "cid" must be a string');
+  }
+}
+
+function isKnownRequest(action) {
+  return lookup(REQUESTS, action) !== null;
+}
+
+function validateRequest(message) {
+  if (!Number.isInteger(message.id)) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Request id must be an integer');
+  }
+  validateCorrelationId(message);
+  const schema = lookup(REQUESTS, message.action);
+  if (!schema) {
+    throw new ProtocolError(ERROR_CODES.UNKNOWN_ACTION, 'Unknown action: ' + message.action);
+  }
+  validateFields(message, schema, message.action);
+  return message;
+}
+
+function validateResponse(message) {
+  if (!Number.isInteger(message.id)) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Response id must be an integer');
+  }
+  validateCorrelationId(message);
+  if (message.error !== undefined && (typeOf(message.error) !== 'object' ||
+      typeof message.error.code !== 'string' || typeof message.error.message !== 'string')) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Response error must be { code, message }');
+  }
+  return message;
+}
+
+function validateEvent(message) {
+  const schema = lookup(EVENTS, message.event);
+  if (!schema) {
+    throw new ProtocolError(ERROR_CODES.UNKNOWN_ACTION, 'Unknown event: ' + message.event);
+  }
+  validateFields(message, schema, message.event);
+  return message;
+}
+
+function validateControl(message) {
+  const schema = lookup(CONTROL, message.action);
+  if (!schema) {
+    throw new ProtocolError(ERROR_CODES.UNKNOWN_ACTION, 'Unknown control message: ' + message.action);
+  }
+  validateFields(message, schema, message.action);
+  return message;
+}
+
+function isValidPort(port) {
+  return Number.isInteger(port) && port >= 1024 && port <= 65535;
+}
+
+// Ports to try, in order, when the preferred one is taken
+function candidatePorts(preferredPort = DEFAULT_PORT) {
+  const first = isValidPort(preferredPort) ? preferredPort : DEFAULT_PORT;
+  const ports = [];
+  for (let port = first; port <= Math.min(first + PORT_FALLBACK_COUNT, 65535); port++) {
+    ports.push(port);
+  }
+  return ports;
+}
+
+// Builds a request carrying only the fields its schema defines, plus cid if given.
+// Throws ProtocolError.
+function createRequest(id, action, data = {}, cid = null) {
+  const schema = lookup(REQUESTS, action);
+  if (!schema) {
+    throw new ProtocolError(ERROR_CODES.UNKNOWN_ACTION, 'Unknown action: ' + action);
+  }
+  const request = { id, action };
+  if (cid) request.cid = cid;
+  for (const field of Object.keys(schema)) {
+    if (data[field] !== undefined) {
+      request[field] = data[field];
+    }
+  }
+  return validateRequest(request);
+}
+
+// Protocol version to use with a peer, or ProtocolError if there is none
+function negotiateVersion(peerVersion) {
+  if (!Number.isInteger(peerVersion) || peerVersion < MIN_PROTOCOL_VERSION) {
+    throw new ProtocolError(
+      ERROR_CODES.UNSUPPORTED_VERSION,
+      `Protocol version ${peerVersion === undefined ? 1 : peerVersion} is not supported ` +
+      `(need ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}); update the older component`
+    );
+  }
+  return Math.min(peerVersion, PROTOCOL_VERSION);
+}
+
+const Protocol = {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  MAX_MESSAGE_BYTES,
+  DEFAULT_PORT,
+  PORT_FALLBACK_COUNT,
+  DEFAULT_API_PORT,
+  PING_INTERVAL_MS,
+  ERROR_CODES,
+  CLOSE_CODES,
+  REQUESTS,
+  CONTROL,
+  EVENTS,
+  ProtocolError,
+  isKnownRequest,
+  isValidPort,
+  candidatePorts,
+  toErrorPayload,
+  fromErrorPayload,
+  parseMessage,
+  serializeMessage,
+  classifyMessage,
+  createRequest,
+  validateRequest,
+  validateResponse,
+  validateEvent,
+  validateControl,
+  negotiateVersion
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Protocol;
+}
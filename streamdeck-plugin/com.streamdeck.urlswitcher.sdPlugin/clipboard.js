@@ -0,0 +1,33 @@
+// Clipboard access for StreamDeck URL Switcher
+// Node has no clipboard API, so this asks the operating system's own tool
+
+const { execFile } = require('child_process');
+
+const CLIPBOARD_TIMEOUT = 2000; // ms
+
+// Command printing the clipboard text on each platform
+const CLIPBOARD_COMMANDS = {
+  win32: ['powershell.exe', ['-NoProfile', '-NonInteractive', '-Command', 'Get-Clipboard -Raw']],
+  darwin: ['pbpaste', []],
+  linux: ['xclip', ['-selection', 'clipboard', '-o']]
+};
+
+function readClipboard() {
+  return new Promise((resolve, reject) => {
+    const command = CLIPBOARD_COMMANDS[process.platform];
+    if (!command) {
+      reject(new Error(`Reading the clipboard is not supported on ${process.platform}`));
+      return;
+    }
+
+    execFile(command[0], command[1], { timeout: CLIPBOARD_TIMEOUT, windowsHide: true }, (error, stdout) => {
+      if (error) {
+        reject(new Error('Could not read the clipboard: ' + error.message));
+        return;
+      }
+      resolve(stdout.replace(/\r?\n$/, ''));
+    });
+  });
+}
+
+module.exports = { readClipboard };
@@ -0,0 +1,81 @@
+// Offline command queue for StreamDeck URL Switcher
+// Holds key presses while no browser is connected and replays them in order
+
+const { ProtocolError, ERROR_CODES } = require('./protocol');
+
+const QUEUE_MAX_SIZE = 20;      // Oldest command is dropped beyond this
+const QUEUE_TTL_MS = 15000;     // A queued command fails if not run within this
+
+class CommandQueue {
+  // isReady() tells whether commands can run now (e.g. a browser is connected)
+  constructor(isReady, { maxSize = QUEUE_MAX_SIZE, ttl = QUEUE_TTL_MS } = {}) {
+    this.isReady = isReady;
+    this.maxSize = maxSize;
+    this.ttl = ttl;
+    this.entries = [];     // { key, run, resolve, reject, timer } in arrival order
+    this.flushing = null;  // Promise of the flush in progress
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  // Queue run() for later. Resolves with its result once flushed, or rejects
+  // with EXPIRED, QUEUE_FULL or CANCELLED if it never gets to run.
+  enqueue(key, run) {
+    return new Promise((resolve, reject) => {
+      const entry = { key, run, resolve, reject, timer: null };
+
+      entry.timer = setTimeout(() => {
+        this.remove(entry, new ProtocolError(ERROR_CODES.EXPIRED,
+          `Browser did not connect within ${Math.round(this.ttl / 1000)}s`));
+      }, this.ttl);
+
+      this.entries.push(entry);
+      if (this.entries.length > this.maxSize) {
+        this.remove(this.entries[0], new ProtocolError(ERROR_CODES.QUEUE_FULL,
+          `More than ${this.maxSize} commands waiting for the browser`));
+      }
+    });
+  }
+
+  // Run queued commands one at a time, oldest first, while isReady() holds.
+  // Commands left over when the browser goes away again stay queued.
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.runEntries().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async runEntries() {
+    while (this.entries.length > 0 && this.isReady()) {
+      const entry = this.entries.shift();
+      clearTimeout(entry.timer);
+      try {
+        entry.resolve(await entry.run());
+      } catch (error) {
+        entry.reject(error);
+      }
+    }
+  }
+
+  // Drop the commands queued for a key, e.g. when it disappears
+  cancel(key) {
+    for (const entry of this.entries.filter(entry => entry.key === key)) {
+      this.remove(entry, new ProtocolError(ERROR_CODES.CANCELLED, 'Command cancelled'));
+    }
+  }
+
+  remove(entry, error) {
+    const index = this.entries.indexOf(entry);
+    if (index === -1) return;
+    this.entries.splice(index, 1);
+    clearTimeout(entry.timer);
+    entry.reject(error);
+  }
+}
+
+module.exports = { CommandQueue, QUEUE_MAX_SIZE, QUEUE_TTL_MS };
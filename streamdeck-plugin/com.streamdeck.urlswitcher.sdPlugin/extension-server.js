@@ -0,0 +1,627 @@
+// WebSocket server the browser extensions connect to
+// Handles pairing, the protocol handshake, keep-alive and request/response
+// matching for every connected browser.
+
+const WebSocket = require('ws');
+const crypto = require('crypto');
+const Protocol = require('./protocol');
+const { log, getCorrelationId } = require('./log');
+
+const AUTH_TIMEOUT = 10000;         // ms a new connection has to answer the challenge
+const STALE_CONNECTION_MS = Protocol.PING_INTERVAL_MS * 3; // Silent this long = dead link
+
+// Request timeouts in ms. Lookups feeding key redraws should fail fast;
+// opening or switching tabs can wait on a busy browser.
+const REQUEST_TIMEOUTS = {
+  default: 10000,
+  ping: 3000,
+  findBestTab: 3000,
+  getTabStates: 3000,
+  getFavicon: 5000,
+  openWorkspace: 30000, // Opens and arranges many tabs
+  restoreSession: 60000
+};
+
+// Requests that are safe to send again: they only read browser state
+const IDEMPOTENT_ACTIONS = new Set(['getTabs', 'findTabs', 'findBestTab', 'getTabStates', 'getFavicon', 'ping']);
+const REQUEST_RETRIES = 2;       // Extra attempts for idempotent requests
+const RETRY_BASE_DELAY = 250;    // ms before the first retry, doubled for each further one
+const RETRYABLE_ERRORS = new Set([Protocol.ERROR_CODES.TIMEOUT, Protocol.ERROR_CODES.NOT_CONNECTED]);
+
+class ExtensionServer {
+  constructor() {
+    this.wss = null;
+    this.browsers = new Map();       // WebSocket -> browser info (one per extension instance)
+    this.connectionCount = 0;
+    this.pendingRequests = new Map();
+    this.requestId = 0;
+    this.started = false;
+    this.preferredPort = null;       // Port from the global settings
+    this.port = null;                // Port actually listened on
+    this.bindError = '';             // Why no port could be bound, with a suggested fix
+    this.onConnectionChange = null;  // Callback for connection status changes
+    this.onBrowsersChange = null;    // Callback when browsers connect, identify or leave
+    this.onEvent = null;             // Callback for events pushed by the extension
+    this.secret = null;              // Pairing secret shared with the extension
+    this.lastProtocolError = '';     // Why the last extension was turned away in hello, for the PI
+    this.healthTimer = null;         // Drops connections that went silent
+  }
+
+  // Secret extensions must prove they know before their messages are handled.
+  // Changing it drops every connection so they re-authenticate.
+  setSecret(secret) {
+    if (this.secret === secret) return;
+    const hadSecret = !!this.secret;
+    this.secret = secret;
+    if (hadSecret) {
+      log('Pairing secret changed, closing browser connections', 'WARN');
+      for (const ws of this.browsers.keys()) {
+        ws.close(4001, 'Pairing secret changed');
+      }
+    }
+  }
+
+  // Only browser extensions may connect; web pages and other local clients are refused
+  verifyClient({ origin, req }) {
+    if (origin && origin.startsWith('chrome-extension://')) {
+      return true;
+    }
+    log(`Rejected connection from ${req.socket.remoteAddress} with origin ${origin || 'none'}`, 'WARN');
+    return false;
+  }
+
+  // Listen on the preferred port, or the first free port after it. Calling it
+  // again with another port moves the server; extensions find it by scanning.
+  async start(preferredPort = Protocol.DEFAULT_PORT) {
+    if (this.started && this.preferredPort === preferredPort && !this.bindError) {
+      log('WebSocket server already started');
+      return;
+    }
+    if (this.started) {
+      this.stop();
+    }
+    this.started = true;
+    this.preferredPort = preferredPort;
+    this.bindError = '';
+
+    const ports = Protocol.candidatePorts(preferredPort);
+    let lastError = null;
+    for (const port of ports) {
+      try {
+        const wss = await this.listen(port);
+        if (this.preferredPort !== preferredPort) {
+          wss.close(); // Moved to another port meanwhile
+          return;
+        }
+        this.wss = wss;
+        this.port = port;
+        this.healthTimer = setInterval(() => this.dropStaleBrowsers(), Protocol.PING_INTERVAL_MS);
+        log(`WebSocket server listening on port ${port}`, 'SUCCESS');
+        return;
+      } catch (error) {
+        lastError = error;
+        log(`Cannot listen on port ${port}: ${error.message}`, 'WARN');
+        if (this.preferredPort !== preferredPort) return;
+      }
+    }
+
+    this.bindError = `Could not listen on ports ${ports[0]}-${ports[ports.length - 1]} ` +
+      `(${lastError.code || lastError.message}). ` +
+      'Choose another port below and enter it in the browser extension popup too, ' +
+      `or quit the program that uses port ${ports[0]}.`;
+    log('Failed to start WebSocket server: ' + this.bindError, 'ERROR');
+  }
+
+  // Resolves with the server once it is listening, rejects if the port can't be bound
+  listen(port) {
+    return new Promise((resolve, reject) => {
+      const wss = new WebSocket.Server({
+        port,
+        maxPayload: Protocol.MAX_MESSAGE_BYTES,
+        verifyClient: (info) => this.verifyClient(info)
+      });
+
+      wss.once('error', (error) => {
+        wss.close();
+        reject(error);
+      });
+      wss.once('listening', () => {
+        wss.removeAllListeners('error');
+        wss.on('error', (error) => {
+          log('WebSocket server error: ' + error.message, 'ERROR');
+        });
+        resolve(wss);
+      });
+      wss.on('connection', (ws, req) => this.onConnection(ws, req));
+    });
+  }
+
+  stop() {
+    if (this.wss) {
+      log(`Closing WebSocket server on port ${this.port}`);
+      for (const ws of this.browsers.keys()) {
+        ws.close(1001, 'Server moving to another port');
+      }
+      this.wss.close();
+      this.wss = null;
+    }
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+    this.started = false;
+    this.port = null;
+  }
+
+  onConnection(ws, req) {
+    const clientIp = req.socket.remoteAddress;
+    
+    // Identified properly once the extension authenticates and sends its hello
+    const browser = {
+      socket: ws,
+      address: clientIp,
+      instanceId: `connection-${++this.connectionCount}`,
+      browser: 'unknown',
+      profile: '',
+      connectedAt: Date.now(),
+      lastFocusedAt: 0,
+      lastSeenAt: Date.now(),        // Last message of any kind
+      rtt: null,                     // Round trip the extension measured with its last ping
+      missedPongs: 0,
+      authenticated: false,
+      protocolVersion: null,         // Negotiated in hello; null until then
+      capabilities: [],              // Requests the extension says it handles
+      incognitoAccess: null,         // Whether it may use incognito tabs; null if it didn't say
+      nonce: crypto.randomBytes(32).toString('hex'),
+      authTimer: null
+    };
+    this.browsers.set(ws, browser);
+    log(`Browser extension connected from ${clientIp} (${req.headers.origin}), sending challenge`);
+    
+    browser.authTimer = setTimeout(() => {
+      log(`Rejected ${clientIp}: no authentication within ${AUTH_TIMEOUT}ms`, 'WARN');
+      ws.close(4001, 'Authentication timeout');
+    }, AUTH_TIMEOUT);
+    this.sendRawToExtension(ws, {
+      action: 'challenge',
+      nonce: browser.nonce,
+      protocolVersion: Protocol.PROTOCOL_VERSION
+    });
+
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = Protocol.parseMessage(data);
+      } catch (e) {
+        log(`Dropped message from ${clientIp}: [${e.code}] ${e.message}`, 'ERROR');
+        return;
+      }
+      this.handleExtensionMessage(ws, message);
+    });
+
+    ws.on('close', (code, reason) => {
+      const info = this.browsers.get(ws);
+      this.browsers.delete(ws);
+      if (!info) return;
+      clearTimeout(info.authTimer);
+      this.rejectRequestsTo(ws, new Protocol.ProtocolError(
+        Protocol.ERROR_CODES.NOT_CONNECTED,
+        `${this.describeBrowser(info)} disconnected`
+      ));
+      if (!info.protocolVersion) return;
+      
+      log(`${this.describeBrowser(info)} disconnected (code: ${code})`, 'WARN');
+      
+      // Notify connection change
+      if (!this.isConnected() && this.onConnectionChange) {
+        this.onConnectionChange(false);
+      }
+      this.notifyBrowsersChange();
+    });
+
+    ws.on('error', (error) => {
+      log('Extension WebSocket error: ' + error.message, 'ERROR');
+    });
+  }
+
+  isConnected() {
+    return this.getBrowsers().length > 0;
+  }
+
+  // Connected browsers that authenticated and completed hello, in connection order
+  getBrowsers() {
+    return [...this.browsers.values()].filter(browser =>
+      browser.protocolVersion && browser.socket.readyState === WebSocket.OPEN
+    );
+  }
+
+  // Serializable browser list for the property inspector
+  listBrowsers() {
+    return this.getBrowsers().map(({ instanceId, browser, profile, rtt, missedPongs, lastSeenAt, incognitoAccess }) => ({
+      instanceId,
+      browser,
+      profile,
+      label: this.describeBrowser({ browser, profile }),
+      rtt,
+      missedPongs,
+      lastSeenAt,
+      incognitoAccess
+    }));
+  }
+
+  // A browser whose worker died without closing the socket stops pinging;
+  // terminate it so keys don't wait on a link that is gone
+  dropStaleBrowsers() {
+    const now = Date.now();
+    for (const [ws, browser] of this.browsers) {
+      if (browser.authenticated && now - browser.lastSeenAt > STALE_CONNECTION_MS) {
+        log(`${this.describeBrowser(browser)} silent for ${Math.round((now - browser.lastSeenAt) / 1000)}s, dropping`, 'WARN');
+        ws.terminate();
+      }
+    }
+  }
+
+  describeBrowser(info) {
+    if (!info) return 'Browser extension';
+    const name = info.browser.charAt(0).toUpperCase() + info.browser.slice(1);
+    return info.profile ? `${name} (${info.profile})` : name;
+  }
+
+  // A selector is an instance ID or a browser name ('edge', 'chrome')
+  matchesSelector(browser, selector) {
+    return browser.instanceId === selector || browser.browser === String(selector).toLowerCase();
+  }
+
+  // Find a connected browser by selector, preferring an exact instance ID
+  findBrowser(selector) {
+    if (!selector) return null;
+    const browsers = this.getBrowsers();
+    return browsers.find(browser => browser.instanceId === selector) ||
+      browsers.find(browser => this.matchesSelector(browser, selector)) ||
+      null;
+  }
+
+  // The browser the user touched last, else the one that connected first
+  getDefaultBrowser() {
+    const browsers = this.getBrowsers();
+    if (browsers.length === 0) return null;
+    return browsers.reduce((best, browser) =>
+      browser.lastFocusedAt > best.lastFocusedAt ? browser : best
+    );
+  }
+
+  notifyBrowsersChange() {
+    if (this.onBrowsersChange) {
+      this.onBrowsersChange(this.listBrowsers());
+    }
+  }
+
+  handleExtensionMessage(ws, message) {
+    const browser = this.browsers.get(ws);
+    if (!browser) return;
+    browser.lastSeenAt = Date.now();
+    
+    let kind;
+    try {
+      kind = Protocol.classifyMessage(message);
+      // hello is checked in onHello, after its version, so old extensions get a clear answer
+      if (kind === 'control' && message.action !== 'hello') Protocol.validateControl(message);
+      if (kind === 'event') Protocol.validateEvent(message);
+      if (kind === 'response') Protocol.validateResponse(message);
+    } catch (error) {
+      log(`Invalid message from ${this.describeBrowser(browser)}: [${error.code}] ${error.message}`, 'ERROR');
+      this.rejectPendingRequest(ws, message.id, error);
+      return;
+    }
+    
+    // Nothing but the challenge response is accepted before authentication.
+    // A hello at this point comes from an extension that predates pairing.
+    if (!browser.authenticated) {
+      if (message.action === 'authenticate') {
+        this.onAuthenticate(ws, browser, message);
+      } else if (message.action === 'hello') {
+        this.onHello(ws, browser, message);
+      } else {
+        log(`Ignoring ${message.action || message.event} from unauthenticated connection`, 'DEBUG');
+      }
+      return;
+    }
+    
+    // Handle ping/keep-alive from extension
+    if (message.action === 'ping') {
+      log(`Received keep-alive ping from extension (rtt: ${message.rtt}ms, missed: ${message.missedPongs})`, 'DEBUG');
+      if (message.rtt !== undefined) browser.rtt = message.rtt;
+      if (message.missedPongs !== undefined) browser.missedPongs = message.missedPongs;
+      this.sendRawToExtension(ws, { action: 'pong' });
+      return;
+    }
+    
+    // Negotiate the protocol and identify the browser behind this connection
+    if (message.action === 'hello') {
+      this.onHello(ws, browser, message);
+      return;
+    }
+    
+    if (kind === 'control') {
+      log(`Ignoring ${message.action} from ${this.describeBrowser(browser)}`, 'DEBUG');
+      return;
+    }
+    
+    // Unsolicited events (e.g. tabsChanged) carry no request id
+    if (kind === 'event') {
+      log(`← ${this.describeBrowser(browser)} event: ${message.event}`, 'DEBUG');
+      if (message.event === 'browserFocused') {
+        browser.lastFocusedAt = Date.now();
+      }
+      if (this.onEvent) {
+        this.onEvent(message, browser);
+      }
+      return;
+    }
+    
+    log(`← ${this.describeBrowser(browser)}: ${JSON.stringify(message)}`, 'DEBUG', { cid: message.cid });
+
+    // Find pending request and resolve it
+    const pending = this.getPendingRequest(ws, message.id);
+    if (pending) {
+      const duration = Date.now() - pending.timestamp;
+      this.pendingRequests.delete(message.id);
+
+      // Responses arrive outside the press that sent the request; the cid they repeat links them
+      const fields = { cid: message.cid, ms: duration };
+      if (message.error) {
+        const error = Protocol.fromErrorPayload(message.error);
+        log(`Request failed: [${error.code}] ${error.message}`, 'ERROR', fields);
+        pending.reject(error);
+      } else {
+        log('Request completed', 'SUCCESS', fields);
+        pending.resolve(message);
+      }
+    }
+  }
+
+  // The request with this id, if it was sent over ws by an authenticated
+  // browser; another connection can't settle requests it was never sent
+  getPendingRequest(ws, id) {
+    const browser = this.browsers.get(ws);
+    const pending = this.pendingRequests.get(id);
+    if (!pending || !browser || !browser.authenticated) return null;
+    if (pending.socket !== ws) {
+      log(`Ignoring response to request ${id} from ${this.describeBrowser(browser)}, which it was not sent to`, 'WARN');
+      return null;
+    }
+    return pending;
+  }
+
+  rejectPendingRequest(ws, id, error) {
+    const pending = this.getPendingRequest(ws, id);
+    if (pending) {
+      pending.reject(error);
+    }
+  }
+
+  // Fail everything still waiting on a socket that closed, instead of letting it time out
+  rejectRequestsTo(ws, error) {
+    for (const pending of [...this.pendingRequests.values()]) {
+      if (pending.socket === ws) {
+        pending.reject(error);
+      }
+    }
+  }
+
+  // Expected response: hex HMAC-SHA256 of the challenge nonce, keyed with the secret
+  onAuthenticate(ws, browser, message) {
+    clearTimeout(browser.authTimer);
+    const clientIp = browser.address;
+    
+    if (!this.secret) {
+      log(`Rejected ${clientIp}: no pairing secret configured yet`, 'WARN');
+      ws.close(4001, 'Not paired');
+      return;
+    }
+    
+    const expected = crypto.createHmac('sha256', this.secret).update(browser.nonce).digest();
+    const received = Buffer.from(String(message.response || ''), 'hex');
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      log(`Rejected ${clientIp}: wrong pairing secret`, 'WARN');
+      ws.close(4001, 'Authentication failed');
+      return;
+    }
+    
+    browser.authenticated = true;
+    this.sendRawToExtension(ws, { action: 'authenticated' });
+    log(`Browser extension from ${clientIp} authenticated, waiting for hello`, 'SUCCESS');
+  }
+
+  // The extension offers its protocol version and capabilities; we answer with
+  // the version both sides use, or close the connection saying why
+  onHello(ws, browser, message) {
+    let protocolVersion;
+    try {
+      protocolVersion = Protocol.negotiateVersion(message.protocolVersion);
+      Protocol.validateControl(message);
+    } catch (error) {
+      log(`Rejected ${browser.address}: [${error.code}] ${error.message}`, 'ERROR');
+      this.lastProtocolError = error.message;
+      ws.close(error.code === Protocol.ERROR_CODES.UNSUPPORTED_VERSION
+        ? Protocol.CLOSE_CODES.UNSUPPORTED_VERSION
+        : Protocol.CLOSE_CODES.PROTOCOL_ERROR, error.message);
+      return;
+    }
+    if (!browser.authenticated) return;
+    
+    const wasConnected = this.isConnected();
+
+    // A reconnect from the same extension instance replaces its old socket
+    for (const [otherSocket, other] of this.browsers) {
+      if (otherSocket !== ws && other.instanceId === message.instanceId) {
+        log(`Closing previous connection of ${this.describeBrowser(other)}`);
+        // Its close event finds no entry any more, so fail its requests here
+        // rather than letting them time out and retry
+        this.rejectRequestsTo(otherSocket, new Protocol.ProtocolError(
+          Protocol.ERROR_CODES.NOT_CONNECTED,
+          `${this.describeBrowser(other)} reconnected`
+        ));
+        this.browsers.delete(otherSocket);
+        otherSocket.close();
+      }
+    }
+    
+    browser.instanceId = message.instanceId || browser.instanceId;
+    browser.browser = String(message.browser || 'unknown').toLowerCase();
+    browser.profile = message.profile || '';
+    browser.protocolVersion = protocolVersion;
+    this.lastProtocolError = '';
+    browser.capabilities = message.capabilities;
+    browser.incognitoAccess = typeof message.incognitoAccess === 'boolean' ? message.incognitoAccess : null;
+    this.sendRawToExtension(ws, {
+      action: 'welcome',
+      protocolVersion,
+      capabilities: Object.keys(Protocol.EVENTS)
+    });
+    log(`${this.describeBrowser(browser)} identified as ${browser.instanceId} (protocol v${protocolVersion})`, 'SUCCESS');
+    
+    // Notify connection change
+    if (!wasConnected && this.onConnectionChange) {
+      this.onConnectionChange(true);
+    }
+    this.notifyBrowsersChange();
+  }
+
+  // Send raw message without tracking (for pings/pongs)
+  sendRawToExtension(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(Protocol.serializeMessage(message));
+    }
+  }
+
+  // Send a request to one browser. Options:
+  //   browser  - a browser record or a findBrowser() selector; defaults to getDefaultBrowser()
+  //   timeout  - ms to wait for the answer; defaults to REQUEST_TIMEOUTS
+  //   retries  - extra attempts after a timeout or lost connection; defaults to
+  //              REQUEST_RETRIES for idempotent actions and 0 for the rest
+  //   signal   - AbortSignal that cancels the request (rejects with CANCELLED)
+  async sendToExtension(action, data = {}, options = {}) {
+    const retries = options.retries !== undefined
+      ? options.retries
+      : (IDEMPOTENT_ACTIONS.has(action) ? REQUEST_RETRIES : 0);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.sendRequest(action, data, options);
+      } catch (error) {
+        if (attempt >= retries || !RETRYABLE_ERRORS.has(error.code) || this.isGone(options.browser)) {
+          throw error;
+        }
+        const delay = RETRY_BASE_DELAY * 2 ** attempt;
+        log(`${action} failed (${error.message}), retrying in ${delay}ms`, 'WARN');
+        await this.waitBeforeRetry(action, delay, options.signal);
+      }
+    }
+  }
+
+  // Resolves after delay ms, or rejects with CANCELLED as soon as signal aborts,
+  // so a cancelled request is never sent again
+  waitBeforeRetry(action, delay, signal) {
+    return new Promise((resolve, reject) => {
+      const cancelled = () => new Protocol.ProtocolError(Protocol.ERROR_CODES.CANCELLED, `${action} cancelled`);
+      if (signal && signal.aborted) {
+        reject(cancelled());
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(cancelled());
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, delay);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // A specific browser record whose connection has closed won't come back
+  isGone(browser) {
+    return typeof browser === 'object' && browser !== null && !this.browsers.has(browser.socket);
+  }
+
+  // One attempt of sendToExtension
+  sendRequest(action, data, options) {
+    return new Promise((resolve, reject) => {
+      const { signal } = options;
+      if (signal && signal.aborted) {
+        reject(new Protocol.ProtocolError(Protocol.ERROR_CODES.CANCELLED, `${action} cancelled`));
+        return;
+      }
+
+      const target = typeof options.browser === 'object' && options.browser
+        ? options.browser
+        : (options.browser ? this.findBrowser(options.browser) : this.getDefaultBrowser());
+      
+      if (!target || target.socket.readyState !== WebSocket.OPEN) {
+        reject(new Protocol.ProtocolError(Protocol.ERROR_CODES.NOT_CONNECTED, options.browser
+          ? `Browser not connected: ${options.browser.instanceId || options.browser}`
+          : 'Chrome extension not connected'));
+        return;
+      }
+      if (!target.capabilities.includes(action)) {
+        reject(new Protocol.ProtocolError(
+          Protocol.ERROR_CODES.UNSUPPORTED_ACTION,
+          `${this.describeBrowser(target)} does not support ${action}; update the extension`
+        ));
+        return;
+      }
+
+      const id = ++this.requestId;
+      let message, text;
+      try {
+        message = Protocol.createRequest(id, action, data, getCorrelationId());
+        text = Protocol.serializeMessage(message);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      // Settling the request in any way clears its timer and abort listener
+      const onAbort = () => pending.reject(
+        new Protocol.ProtocolError(Protocol.ERROR_CODES.CANCELLED, `${action} cancelled`)
+      );
+      const cleanup = () => {
+        clearTimeout(pending.timer);
+        this.pendingRequests.delete(id);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+      const pending = {
+        socket: target.socket,
+        timestamp: Date.now(),
+        timer: null,
+        resolve: (response) => { cleanup(); resolve(response); },
+        reject: (error) => { cleanup(); reject(error); }
+      };
+      this.pendingRequests.set(id, pending);
+      if (signal) signal.addEventListener('abort', onAbort);
+
+      const timeout = options.timeout || REQUEST_TIMEOUTS[action] || REQUEST_TIMEOUTS.default;
+      pending.timer = setTimeout(() => {
+        pending.reject(new Protocol.ProtocolError(
+          Protocol.ERROR_CODES.TIMEOUT,
+          `${action} timed out after ${timeout}ms`
+        ));
+      }, timeout);
+
+      log(`→ ${this.describeBrowser(target)}: ${JSON.stringify(message)}`, 'DEBUG');
+      target.socket.send(text);
+    });
+  }
+
+  // Send the same request to every connected browser.
+  // Resolves to [{ browser, response }] or [{ browser, error }], one per browser.
+  sendToAllExtensions(action, data = {}, options = {}) {
+    return Promise.all(this.getBrowsers().map(browser =>
+      this.sendToExtension(action, data, { ...options, browser })
+        .then(response => ({ browser, response }))
+        .catch(error => ({ browser, error }))
+    ));
+  }
+}
+
+module.exports = { ExtensionServer };
@@ -0,0 +1,93 @@
+// Per-origin favicon cache for StreamDeck URL Switcher
+// Kept on disk so keys still show their icon after a restart, when the tab is closed
+
+const fs = require('fs');
+const { log } = require('./log');
+
+const MAX_FAVICONS = 200;                        // Least recently used origins are dropped beyond this
+const MAX_FAVICON_AGE = 90 * 24 * 60 * 60 * 1000; // Origins not shown for this long are dropped (ms)
+
+// Origin of a URL, accepting URLs without a protocol ('github.com/x' -> 'https://github.com')
+function getOrigin(url) {
+  if (!url) return null;
+  try {
+    const withProtocol = /^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : 'https://' + url;
+    return new URL(withProtocol).origin.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+class FaviconCache {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = {}; // origin -> { dataURI, updated, used }
+    this.writing = false;
+    this.dirty = false; // Changed while a write was in flight
+    this.load();
+  }
+
+  load() {
+    try {
+      this.entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8')) || {};
+    } catch {
+      // Missing or unreadable cache starts empty
+      this.entries = {};
+    }
+    this.prune();
+  }
+
+  // Last use is kept in memory and saved with the next change
+  get(origin) {
+    const entry = origin && this.entries[origin];
+    if (!entry) return null;
+    entry.used = Date.now();
+    return entry.dataURI;
+  }
+
+  set(origin, dataURI) {
+    if (!origin || !dataURI) return;
+    // Make room first, so the new entry is never the one dropped
+    delete this.entries[origin];
+    this.prune(MAX_FAVICONS - 1);
+    const now = Date.now();
+    this.entries[origin] = { dataURI, updated: now, used: now };
+    this.save();
+  }
+
+  // Drop entries unused for MAX_FAVICON_AGE, then the least recently used
+  // ones beyond limit
+  prune(limit = MAX_FAVICONS) {
+    // Caches written before last use was recorded only have updated
+    const lastUsed = origin => this.entries[origin].used || this.entries[origin].updated || 0;
+    const cutoff = Date.now() - MAX_FAVICON_AGE;
+    const origins = Object.keys(this.entries)
+      .filter(origin => lastUsed(origin) >= cutoff)
+      .sort((a, b) => lastUsed(b) - lastUsed(a));
+    const kept = new Set(origins.slice(0, limit));
+    for (const origin of Object.keys(this.entries)) {
+      if (!kept.has(origin)) delete this.entries[origin];
+    }
+  }
+
+  // One write at a time: changes made during a write are saved right after it.
+  // Written to a temporary file first so a crash never leaves half a cache.
+  save() {
+    if (this.writing) {
+      this.dirty = true;
+      return;
+    }
+    this.writing = true;
+    this.dirty = false;
+    const temporary = `${this.filePath}.${process.pid}.tmp`;
+    fs.promises.writeFile(temporary, JSON.stringify(this.entries))
+      .then(() => fs.promises.rename(temporary, this.filePath))
+      .catch(error => log('Failed to save favicon cache: ' + error.message, 'ERROR'))
+      .finally(() => {
+        this.writing = false;
+        if (this.dirty) this.save();
+      });
+  }
+}
+
+module.exports = { FaviconCache, getOrigin, MAX_FAVICONS, MAX_FAVICON_AGE };
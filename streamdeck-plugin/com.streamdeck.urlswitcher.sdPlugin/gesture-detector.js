@@ -0,0 +1,86 @@
+// Key gesture detection for StreamDeck URL Switcher
+// Turns keyDown/keyUp pairs into short, long and double presses
+
+const LONG_PRESS_MS = 500;   // Held at least this long = long press
+const DOUBLE_PRESS_MS = 300; // Second press within this window = double press
+
+class GestureDetector {
+  // onGesture(context, gesture) is called with 'short', 'long' or 'double'
+  constructor(onGesture, { longPressMs = LONG_PRESS_MS, doublePressMs = DOUBLE_PRESS_MS } = {}) {
+    this.onGesture = onGesture;
+    this.longPressMs = longPressMs;
+    this.doublePressMs = doublePressMs;
+    this.keys = new Map(); // context -> press state
+  }
+
+  // options.longPress / options.doublePress enable detection of those gestures.
+  // With both disabled every press is reported as 'short' on key up.
+  keyDown(context, options = {}) {
+    const state = this.keys.get(context) || {};
+    clearTimeout(state.longTimer);
+
+    // Key went down again while waiting to see if a short press becomes a double
+    const isSecondPress = !!state.shortTimer;
+    clearTimeout(state.shortTimer);
+
+    const next = {
+      options,
+      isSecondPress,
+      longFired: false,
+      longTimer: null,
+      shortTimer: null
+    };
+
+    if (options.longPress && !isSecondPress) {
+      next.longTimer = setTimeout(() => {
+        next.longTimer = null;
+        next.longFired = true;
+        this.onGesture(context, 'long');
+      }, this.longPressMs);
+    }
+
+    this.keys.set(context, next);
+  }
+
+  keyUp(context) {
+    const state = this.keys.get(context);
+    if (!state) return;
+
+    clearTimeout(state.longTimer);
+    state.longTimer = null;
+
+    if (state.longFired) {
+      this.keys.delete(context);
+      return;
+    }
+
+    if (state.isSecondPress) {
+      this.keys.delete(context);
+      this.onGesture(context, 'double');
+      return;
+    }
+
+    if (!state.options.doublePress) {
+      this.keys.delete(context);
+      this.onGesture(context, 'short');
+      return;
+    }
+
+    // Wait to see if a second press follows
+    state.shortTimer = setTimeout(() => {
+      this.keys.delete(context);
+      this.onGesture(context, 'short');
+    }, this.doublePressMs);
+  }
+
+  // Forget a key without reporting anything (e.g. the key disappeared)
+  cancel(context) {
+    const state = this.keys.get(context);
+    if (!state) return;
+    clearTimeout(state.longTimer);
+    clearTimeout(state.shortTimer);
+    this.keys.delete(context);
+  }
+}
+
+module.exports = { GestureDetector, LONG_PRESS_MS, DOUBLE_PRESS_MS };
@@ -0,0 +1,165 @@
+// Local HTTP control API for StreamDeck URL Switcher
+// Lets scripts, other macro pads and editors send the same requests a key
+// sends (see scripts/urlswitch.js):
+//
+//   GET  /v1/browsers          connected browsers
+//   POST /v1/<action>          any request in REQUESTS of protocol.js, with its
+//                              fields (plus an optional browser selector) as JSON
+//
+// Listens on 127.0.0.1 only. Every request must carry the pairing secret as
+// "Authorization: Bearer <secret>"; requests from web pages are refused.
+
+const http = require('http');
+const crypto = require('crypto');
+const { ProtocolError, ERROR_CODES, MAX_MESSAGE_BYTES, toErrorPayload } = require('./protocol');
+
+const API_HOST = '127.0.0.1';
+const API_PREFIX = '/v1/';
+
+// HTTP status for each error code; anything else is a 500
+const STATUS_BY_CODE = {
+  [ERROR_CODES.INVALID_JSON]: 400,
+  [ERROR_CODES.INVALID_MESSAGE]: 400,
+  [ERROR_CODES.MESSAGE_TOO_LARGE]: 413,
+  [ERROR_CODES.UNKNOWN_ACTION]: 404,
+  [ERROR_CODES.UNSUPPORTED_ACTION]: 501,
+  [ERROR_CODES.NOT_CONNECTED]: 503,
+  [ERROR_CODES.QUEUE_FULL]: 503,
+  [ERROR_CODES.TIMEOUT]: 504,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  METHOD_NOT_ALLOWED: 405
+};
+
+// Names the server answers to; anything else may be DNS rebinding from a web page
+const LOCAL_HOST_NAMES = new Set(['127.0.0.1', 'localhost']);
+
+class ControlServer {
+  // getSecret() returns the pairing secret, or null while there is none.
+  // handle(action, data) resolves to the response object or throws ProtocolError.
+  constructor({ getSecret, handle }) {
+    this.getSecret = getSecret;
+    this.handle = handle;
+    this.server = null;
+    this.port = null;
+  }
+
+  // Resolves once listening; rejects if the port can't be bound. Calling it
+  // again with another port moves the server.
+  start(port) {
+    if (this.server && this.port === port) return Promise.resolve();
+    this.stop();
+
+    return new Promise((resolve, reject) => {
+      const server = http.createServer((req, res) => this.onRequest(req, res));
+      server.once('error', reject);
+      server.listen(port, API_HOST, () => {
+        server.removeListener('error', reject);
+        this.server = server;
+        this.port = port;
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+      this.port = null;
+    }
+  }
+
+  async onRequest(req, res) {
+    try {
+      this.checkOrigin(req);
+      this.checkAuthorization(req);
+
+      const url = new URL(req.url, `http://${API_HOST}`);
+      if (!url.pathname.startsWith(API_PREFIX)) {
+        throw new ProtocolError(ERROR_CODES.UNKNOWN_ACTION, `Unknown endpoint ${url.pathname}`);
+      }
+      const action = decodeURIComponent(url.pathname.slice(API_PREFIX.length));
+
+      if (action === 'browsers') {
+        if (req.method !== 'GET') throw methodNotAllowed(req.method, 'GET');
+        this.sendJSON(res, 200, await this.handle('browsers', {}));
+        return;
+      }
+      if (req.method !== 'POST') throw methodNotAllowed(req.method, 'POST');
+      this.sendJSON(res, 200, await this.handle(action, await readJSONBody(req)));
+    } catch (error) {
+      this.sendJSON(res, STATUS_BY_CODE[error.code] || 500, { error: toErrorPayload(error) });
+    }
+  }
+
+  // Browsers send an Origin header with cross-site requests; scripts don't
+  checkOrigin(req) {
+    const host = String(req.headers.host || '').replace(/:\d+$/, '');
+    if (req.headers.origin || !LOCAL_HOST_NAMES.has(host)) {
+      throw new ProtocolError('FORBIDDEN', 'Requests from web pages are not accepted');
+    }
+  }
+
+  checkAuthorization(req) {
+    const secret = this.getSecret();
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    // Compare digests so the comparison takes the same time for any length
+    const digest = (text) => crypto.createHash('sha256').update(text).digest();
+    if (!secret || !match || !crypto.timingSafeEqual(digest(match[1]), digest(secret))) {
+      throw new ProtocolError('UNAUTHORIZED', 'Missing or wrong pairing secret in "Authorization: Bearer <secret>"');
+    }
+  }
+
+  sendJSON(res, status, body) {
+    const text = JSON.stringify(body, null, 2) + '\n';
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(text),
+      'Cache-Control': 'no-store'
+    });
+    res.end(text);
+  }
+}
+
+function methodNotAllowed(method, allowed) {
+  return new ProtocolError('METHOD_NOT_ALLOWED', `${method} not allowed here, use ${allowed}`);
+}
+
+// Request body as a JSON object; an empty body is {}
+function readJSONBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_MESSAGE_BYTES) chunks.push(chunk);
+    });
+    req.on('error', reject);
+    req.on('end', () => {
+      if (size > MAX_MESSAGE_BYTES) {
+        reject(new ProtocolError(ERROR_CODES.MESSAGE_TOO_LARGE, `Body exceeds ${MAX_MESSAGE_BYTES} bytes`));
+        return;
+      }
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      if (!text) {
+        resolve({});
+        return;
+      }
+      let body;
+      try {
+        body = JSON.parse(text);
+      } catch (error) {
+        reject(new ProtocolError(ERROR_CODES.INVALID_JSON, 'Body is not valid JSON: ' + error.message));
+        return;
+      }
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        reject(new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Body must be a JSON object'));
+        return;
+      }
+      resolve(body);
+    });
+  });
+}
+
+module.exports = { ControlServer, API_HOST };
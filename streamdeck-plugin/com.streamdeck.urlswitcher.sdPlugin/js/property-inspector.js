@@ -5,6 +5,37 @@ let pluginUUID = null;
 let actionInfo = null;
 let settings = {};
 let statusPollInterval = null;
+let connectedBrowsers = []; // Latest browser list reported by the plugin
+let rewriteRules = [];      // Rules being edited, including rows not filled in yet
+let reportedRulesJSON = null; // Rules as the plugin last reported them
+let sentRulesJSON = null;     // Rules as this editor last saved them
+
+const SWITCH_ACTION_UUID = 'com.streamdeck.urlswitcher.switch';
+const ENVIRONMENT_ACTION_UUID = 'com.streamdeck.urlswitcher.environment';
+const WORKSPACE_ACTION_UUID = 'com.streamdeck.urlswitcher.workspace';
+const FINDER_ACTION_UUID = 'com.streamdeck.urlswitcher.finder';
+const BOARD_ACTION_UUID = 'com.streamdeck.urlswitcher.board';
+const SNAPSHOT_ACTION_UUIDS = ['com.streamdeck.urlswitcher.snapshot', 'com.streamdeck.urlswitcher.restore'];
+const CUSTOM_IMAGE_SIZE = 144; // Uploaded images are scaled to the key size
+const PREVIEW_DEBOUNCE = 300;  // ms of typing before the URL preview is refreshed
+
+const PLACEMENT_HELP = {
+  default: 'A matching tab is focused where it is; otherwise the URL opens in a new tab of the current window.',
+  currentWindow: 'A matching tab is moved into the window you are using; otherwise the URL opens there in a new tab.',
+  newWindow: 'A matching tab is focused where it is; otherwise the URL opens in a new window. Leave position fields empty for the browser\'s choice.',
+  popup: 'Opens in a window without tabs or address bar, e.g. for chat or dashboards. A matching tab in a popup is moved back to this position.',
+  namedWindow: 'Opens in the window this name last opened, or a new one at this position. Keys sharing a name share the window until it is closed.'
+};
+const WINDOW_BOUNDS_FIELDS = ['windowLeft', 'windowTop', 'windowWidth', 'windowHeight'];
+
+const MATCH_MODE_HELP = {
+  smart: 'Matches when either URL is a prefix of the other, ignoring protocol, www and trailing slash.',
+  exact: 'Matches only a tab whose URL is exactly this URL.',
+  prefix: 'Matches tabs under this path, e.g. example.com/app matches example.com/app/page but not example.com/application.',
+  domain: 'Matches any tab on the same host.',
+  regex: 'Pattern is a case-insensitive regular expression tested against the full tab URL.',
+  glob: 'Pattern uses * for any characters and ? for one character, e.g. github.com/*/pulls.'
+};
 
 // ============================================================
 // StreamDeck Connection
@@ -16,8 +47,8 @@ function connectElgatoStreamDeckSocket(inPort, inPropertyInspectorUUID, inRegist
   settings = actionInfo.payload.settings || {};
 
   // Update UI with current settings
-  document.getElementById('url').value = settings.url || '';
-  document.getElementById('title').value = settings.title || '';
+  showFieldsForAction(actionInfo.action);
+  loadSettingsIntoUI();
 
   // Connect to StreamDeck
   websocket = new WebSocket('ws://127.0.0.1:' + inPort);
@@ -31,10 +62,15 @@ function connectElgatoStreamDeckSocket(inPort, inPropertyInspectorUUID, inRegist
 
     // Request connection status from plugin
     sendToPlugin({ action: 'checkConnection' });
+    requestURLPreview();
+    requestSnapshots();
+    
+    sendToPlugin({ action: 'getLogs' });
     
-    // Poll for connection status every 2 seconds
+    // Poll for connection status and new log entries every 2 seconds
     statusPollInterval = setInterval(function() {
       sendToPlugin({ action: 'checkConnection' });
+      sendToPlugin({ action: 'getLogs' });
     }, 2000);
   };
   
@@ -52,25 +88,362 @@ function connectElgatoStreamDeckSocket(inPort, inPropertyInspectorUUID, inRegist
       handlePluginMessage(message.payload);
     } else if (message.event === 'didReceiveSettings') {
       settings = message.payload.settings || {};
-      document.getElementById('url').value = settings.url || '';
-      document.getElementById('title').value = settings.title || '';
+      loadSettingsIntoUI();
     }
   };
 }
 
 function handlePluginMessage(payload) {
   if (payload.hasOwnProperty('extensionConnected')) {
-    updateConnectionStatus(payload.extensionConnected);
+    updateConnectionStatus(payload.extensionConnected, payload.serverError
+      ? 'Extension server not running'
+      : (payload.connectionError && 'Extension refused: ' + payload.connectionError), payload.browsers);
+  }
+  if (payload.browsers) {
+    updateBrowserOptions(payload.browsers);
+    updateIncognitoWarning();
+  }
+  if (payload.hasOwnProperty('pairingSecret')) {
+    document.getElementById('pairingSecret').value = payload.pairingSecret;
+  }
+  if (payload.hasOwnProperty('port')) {
+    updatePortUI(payload);
+  }
+  if (payload.hasOwnProperty('apiPort')) {
+    updateAPIPortUI(payload);
+  }
+  if (payload.hasOwnProperty('logLevel') && document.activeElement.id !== 'logLevel') {
+    document.getElementById('logLevel').value = payload.logLevel;
+  }
+  if (payload.logs) {
+    updateLogList(payload.logs);
+  }
+  if (payload.hasOwnProperty('queueTimeout') && document.activeElement.id !== 'queueTimeout') {
+    document.getElementById('queueTimeout').value = payload.queueTimeout;
+  }
+  if (payload.hasOwnProperty('variables') && document.activeElement.id !== 'variables') {
+    document.getElementById('variables').value = payload.variables;
+  }
+  if (payload.rewriteRules) {
+    updateRewriteRules(payload.rewriteRules);
+  }
+  if (payload.hasOwnProperty('rewriteRulesError')) {
+    showFieldError('rewriteRulesHelp', payload.rewriteRulesError);
+  }
+  if (payload.hasOwnProperty('variablesError')) {
+    updateVariablesHelp(payload.variablesError);
+  }
+  if (payload.snapshots) {
+    updateSnapshotList(payload);
+  }
+  if (payload.preview) {
+    updateURLPreview(payload.preview);
+  }
+}
+
+// Show what the URL template expands to right now, or why it doesn't
+function updateURLPreview(preview) {
+  const row = document.getElementById('urlPreviewRow');
+  const text = document.getElementById('urlPreview');
+  if (preview.template !== document.getElementById('url').value) return; // Stale answer
+  if (!/[{}]/.test(preview.template || '')) {
+    row.style.display = 'none';
+    return;
+  }
+  row.style.display = '';
+  text.className = preview.error ? 'help-text error' : 'help-text';
+  text.textContent = preview.error ? preview.error : '→ ' + preview.url;
+}
+
+function requestURLPreview() {
+  const url = document.getElementById('url').value;
+  if (/[{}]/.test(url)) {
+    sendToPlugin({ action: 'previewURL', url: url, browser: document.getElementById('browser').value });
+  } else {
+    updateURLPreview({ template: url });
+  }
+}
+
+function updateVariablesHelp(error) {
+  showFieldError('variablesHelp', error);
+  if (!error) requestURLPreview();
+}
+
+// Swap a help text for an error message, or back when error is empty
+function showFieldError(helpId, error) {
+  const help = document.getElementById(helpId);
+  if (!help.dataset.text) help.dataset.text = help.textContent.trim();
+  help.className = error ? 'help-text error' : 'help-text';
+  help.textContent = error || help.dataset.text;
+}
+
+// ============================================================
+// Snapshots
+// ============================================================
+
+// Log viewer: one line per entry; clicking a correlation id shows only its entries
+let logFilterCid = null;
+let lastLogs = [];
+
+function updateLogList(entries) {
+  lastLogs = entries;
+  const list = document.getElementById('logList');
+  const atBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 4;
+  list.innerHTML = '';
+  
+  const shown = logFilterCid ? entries.filter(entry => entry.cid === logFilterCid) : entries;
+  if (shown.length === 0) {
+    list.innerHTML = '<span class="help-text">No log entries yet</span>';
+  }
+  shown.forEach(entry => {
+    const row = document.createElement('div');
+    row.className = `log-entry ${entry.level}`;
+    const time = new Date(entry.time).toLocaleTimeString();
+    row.appendChild(document.createTextNode(`${time} ${entry.level.toUpperCase()} `));
+    if (entry.cid) {
+      const cid = document.createElement('span');
+      cid.className = 'log-cid';
+      cid.textContent = `[${entry.cid}]`;
+      cid.title = logFilterCid ? 'Show all entries' : 'Show only this press';
+      cid.addEventListener('click', function() {
+        logFilterCid = logFilterCid ? null : entry.cid;
+        updateLogList(lastLogs);
+      });
+      row.appendChild(cid);
+      row.appendChild(document.createTextNode(' '));
+    }
+    row.appendChild(document.createTextNode(entry.message + (entry.ms !== undefined ? ` (${entry.ms}ms)` : '')));
+    list.appendChild(row);
+  });
+  
+  if (atBottom) {
+    list.scrollTop = list.scrollHeight;
+  }
+  document.getElementById('logHelp').textContent = logFilterCid
+    ? `Showing press ${logFilterCid} only. Click its id again to show everything.`
+    : 'The latest plugin log entries, newest at the bottom. Click a press id to show only that press. The full log is plugin.log in the plugin folder.';
+}
+
+function requestSnapshots() {
+  if (actionInfo && SNAPSHOT_ACTION_UUIDS.includes(actionInfo.action)) {
+    sendToPlugin({ action: 'listSnapshots' });
+  }
+}
+
+// Saved snapshots with a delete button each, and the folder they live in
+function updateSnapshotList(status) {
+  const list = document.getElementById('snapshotList');
+  const names = document.getElementById('snapshotNames');
+  list.innerHTML = '';
+  names.innerHTML = '';
+  
+  if (status.snapshots.length === 0) {
+    list.innerHTML = '<span class="help-text">No snapshots yet</span>';
+  }
+  status.snapshots.forEach(snapshot => {
+    const option = document.createElement('option');
+    option.value = snapshot.name;
+    names.appendChild(option);
+    
+    const row = document.createElement('div');
+    row.className = 'snapshot-row';
+    const info = document.createElement('span');
+    info.className = 'snapshot-info';
+    info.textContent = snapshot.error
+      ? `${snapshot.name} (unreadable)`
+      : `${snapshot.name} - ${snapshot.tabs} tab(s)` +
+        (snapshot.createdAt ? `, ${new Date(snapshot.createdAt).toLocaleString()}` : '');
+    info.title = snapshot.error || info.textContent;
+    row.appendChild(info);
+    
+    const remove = document.createElement('button');
+    remove.textContent = 'Delete';
+    remove.addEventListener('click', function() {
+      if (confirm(`Delete snapshot "${snapshot.name}"?`)) {
+        sendToPlugin({ action: 'deleteSnapshot', name: snapshot.name });
+      }
+    });
+    row.appendChild(remove);
+    list.appendChild(row);
+  });
+  
+  const dirInput = document.getElementById('snapshotDir');
+  if (document.activeElement !== dirInput) {
+    dirInput.value = status.snapshotDir;
+  }
+  const help = document.getElementById('snapshotHelp');
+  help.className = status.snapshotError ? 'help-text error' : 'help-text';
+  help.textContent = status.snapshotError ||
+    `Snapshots are saved as JSON files in ${status.snapshotDirPath}. Leave empty for the plugin folder.`;
+}
+
+// ============================================================
+// Rewrite Rules
+// ============================================================
+
+// Take the plugin's rules when they change elsewhere (e.g. in another key's
+// inspector), but not while a rule is being edited or when our own save echoes back
+function updateRewriteRules(rules) {
+  const json = JSON.stringify(rules);
+  if (json === reportedRulesJSON) return;
+  if (document.getElementById('rewriteRules').contains(document.activeElement)) return;
+  reportedRulesJSON = json;
+  if (json === sentRulesJSON) return;
+  rewriteRules = rules.map(rule => ({ from: rule.from, to: rule.to }));
+  renderRewriteRules();
+}
+
+// Rows left completely empty are kept in the editor but not saved
+function saveRewriteRules() {
+  const rules = rewriteRules
+    .map(rule => ({ from: rule.from.trim(), to: rule.to.trim() }))
+    .filter(rule => rule.from || rule.to);
+  sentRulesJSON = JSON.stringify(rules);
+  sendToPlugin({ action: 'setRewriteRules', rules: rules });
+}
+
+function renderRewriteRules() {
+  const list = document.getElementById('rewriteRules');
+  list.innerHTML = '';
+  
+  rewriteRules.forEach((rule, index) => {
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+    row.appendChild(createRuleInput(rule, 'from', 'localhost:3000'));
+    row.appendChild(document.createTextNode('→'));
+    row.appendChild(createRuleInput(rule, 'to', 'staging.app.com'));
+    row.appendChild(createRuleButton('↑', 'Move up', index > 0, () => moveRewriteRule(index, -1)));
+    row.appendChild(createRuleButton('↓', 'Move down', index < rewriteRules.length - 1, () => moveRewriteRule(index, 1)));
+    row.appendChild(createRuleButton('✕', 'Remove', true, () => {
+      rewriteRules.splice(index, 1);
+      renderRewriteRules();
+      saveRewriteRules();
+    }));
+    list.appendChild(row);
+  });
+}
+
+function createRuleInput(rule, field, placeholder) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = rule[field];
+  input.placeholder = placeholder;
+  input.addEventListener('input', function() {
+    rule[field] = this.value;
+  });
+  input.addEventListener('change', saveRewriteRules);
+  return input;
+}
+
+function createRuleButton(label, title, enabled, onClick) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.title = title;
+  button.disabled = !enabled;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function moveRewriteRule(index, offset) {
+  const [rule] = rewriteRules.splice(index, 1);
+  rewriteRules.splice(index + offset, 0, rule);
+  renderRewriteRules();
+  saveRewriteRules();
+}
+
+// Port field plus where the server actually listens, or why it can't
+function updatePortUI(status) {
+  const input = document.getElementById('port');
+  const help = document.getElementById('portHelp');
+  if (document.activeElement !== input) {
+    input.value = status.port;
+  }
+  
+  if (status.serverError) {
+    help.className = 'help-text error';
+    help.textContent = status.serverError;
+  } else {
+    help.className = 'help-text';
+    const fallback = status.listeningPort && status.listeningPort !== status.port
+      ? ` (${status.port} was busy)`
+      : '';
+    help.textContent = `Listening on ${status.listeningPort || '...'}${fallback}. ` +
+      'The extension scans this port and the next four; if you change it, enter it in the extension popup too.';
+  }
+}
+
+// API port field plus whether scripts can reach the plugin there
+function updateAPIPortUI(status) {
+  const input = document.getElementById('apiPort');
+  if (document.activeElement !== input) {
+    input.value = status.apiPort;
+  }
+  
+  const help = document.getElementById('apiHelp');
+  if (status.apiError) {
+    help.className = 'help-text error';
+    help.textContent = status.apiError;
+    return;
   }
+  help.className = 'help-text';
+  help.textContent = status.apiPort === 0
+    ? 'The HTTP API is off. Enter a port to let scripts switch tabs.'
+    : `Scripts can switch tabs through http://127.0.0.1:${status.apiPort}${status.apiListening ? '' : ' (starting...)'}, ` +
+      'e.g. node scripts/urlswitch.js github.com, using the pairing secret above. 0 turns it off.';
 }
 
-function updateConnectionStatus(isConnected) {
+// Offer "any", each browser type and each connected instance. A saved choice
+// that isn't connected right now stays in the list so it isn't lost.
+function updateBrowserOptions(browsers) {
+  connectedBrowsers = browsers;
+  const select = document.getElementById('browser');
+  const options = [{ value: '', label: 'Any (best match)' }];
+  
+  const names = [...new Set(browsers.map(browser => browser.browser))];
+  names.forEach(name => {
+    options.push({ value: name, label: `Any ${name.charAt(0).toUpperCase() + name.slice(1)} window` });
+  });
+  browsers.forEach(browser => {
+    options.push({ value: browser.instanceId, label: browser.label });
+  });
+  if (settings.browser && !options.some(option => option.value === settings.browser)) {
+    options.push({ value: settings.browser, label: `${settings.browser} (not connected)` });
+  }
+  
+  const signature = JSON.stringify(options);
+  if (select.dataset.signature === signature) return;
+  select.dataset.signature = signature;
+  
+  select.innerHTML = '';
+  options.forEach(option => {
+    const element = document.createElement('option');
+    element.value = option.value;
+    element.textContent = option.label;
+    select.appendChild(element);
+  });
+  select.value = settings.browser || '';
+}
+
+// "Chrome (4 ms)", with missed pings when the link is struggling
+function describeBrowserHealth(browser) {
+  const details = [];
+  if (browser.rtt != null) details.push(`${browser.rtt} ms`);
+  if (browser.missedPongs > 0) details.push(`${browser.missedPongs} missed ping(s)`);
+  return details.length > 0 ? `${browser.label} (${details.join(', ')})` : browser.label;
+}
+
+function updateConnectionStatus(isConnected, problem, browsers) {
   const indicator = document.getElementById('statusIndicator');
   const text = document.getElementById('statusText');
   
   if (isConnected) {
     indicator.className = 'status-indicator connected';
-    text.textContent = '✓ Connected to browser extension';
+    text.textContent = browsers && browsers.length > 0
+      ? '✓ Connected: ' + browsers.map(describeBrowserHealth).join(', ')
+      : '✓ Connected to browser extension';
+  } else if (problem) {
+    indicator.className = 'status-indicator disconnected';
+    text.textContent = '✗ ' + problem;
   } else {
     indicator.className = 'status-indicator disconnected';
     text.textContent = '✗ Browser extension not connected';
@@ -81,9 +454,177 @@ function updateConnectionStatus(isConnected) {
 // Settings Management
 // ============================================================
 
+// Cycling and gestures only apply to the Switch to URL action
+function showFieldsForAction(actionUUID) {
+  const isSwitch = actionUUID === SWITCH_ACTION_UUID;
+  const isEnvironment = actionUUID === ENVIRONMENT_ACTION_UUID;
+  const isWorkspace = actionUUID === WORKSPACE_ACTION_UUID;
+  const isSnapshot = SNAPSHOT_ACTION_UUIDS.includes(actionUUID);
+  const isFinder = actionUUID === FINDER_ACTION_UUID;
+  const isBoard = actionUUID === BOARD_ACTION_UUID;
+  const visible = {
+    'switch-only': isSwitch,
+    'tab-action-only': !isSwitch && !isEnvironment && !isWorkspace && !isSnapshot && !isFinder && !isBoard,
+    'environment-only': isEnvironment,
+    'workspace-only': isWorkspace,
+    'snapshot-only': isSnapshot,
+    'finder-only': isFinder,
+    'board-only': isBoard,
+    'url-only': !isEnvironment && !isWorkspace && !isSnapshot && !isFinder && !isBoard,
+    'match-only': !isWorkspace && !isSnapshot && !isFinder && !isBoard,
+    'browser-only': !isBoard,
+    'placement-only': isSwitch || isEnvironment
+  };
+  for (const [className, show] of Object.entries(visible)) {
+    document.querySelectorAll('.' + className).forEach(el => {
+      el.style.display = show ? '' : 'none';
+    });
+  }
+}
+
+function loadSettingsIntoUI() {
+  document.getElementById('url').value = settings.url || '';
+  document.getElementById('title').value = settings.title || '';
+  document.getElementById('matchMode').value = settings.matchMode || 'smart';
+  document.getElementById('matchPattern').value = settings.matchPattern || '';
+  updateBrowserOptions(connectedBrowsers);
+  document.getElementById('browser').value = settings.browser || '';
+  document.getElementById('cycle').checked = !!settings.cycle;
+  document.getElementById('shortPressAction').value = settings.shortPressAction || 'switch';
+  document.getElementById('longPressAction').value = settings.longPressAction || 'none';
+  document.getElementById('doublePressAction').value = settings.doublePressAction || 'none';
+  document.getElementById('iconSource').value = settings.iconSource || 'favicon';
+  document.getElementById('workspaceURLs').value = (settings.urls || []).join('\n');
+  document.getElementById('workspaceLayout').value = settings.workspaceLayout || 'window';
+  document.getElementById('groupName').value = settings.groupName || '';
+  document.getElementById('groupColor').value = settings.groupColor || 'grey';
+  document.getElementById('closeOnSecondPress').checked = !!settings.closeOnSecondPress;
+  document.getElementById('snapshotName').value = settings.snapshotName || '';
+  document.getElementById('finderFilter').value = settings.finderFilter || '';
+  document.getElementById('boardRole').value = settings.boardRole || 'tab';
+  document.getElementById('placement').value = settings.placement || 'default';
+  document.getElementById('incognito').value = settings.incognito || 'any';
+  updateIncognitoWarning();
+  document.getElementById('windowName').value = settings.windowName || '';
+  WINDOW_BOUNDS_FIELDS.forEach(id => {
+    document.getElementById(id).value = settings[id] != null ? settings[id] : '';
+  });
+  updatePlacementUI();
+  updateWorkspaceUI();
+  updateIconUI();
+  updateMatchModeUI();
+  requestURLPreview();
+}
+
+// Pattern field only applies to regex and wildcard matching
+function updateMatchModeUI() {
+  const mode = document.getElementById('matchMode').value;
+  const usesPattern = mode === 'regex' || mode === 'glob';
+  document.getElementById('matchPatternRow').style.display = usesPattern ? '' : 'none';
+  document.getElementById('matchHelp').textContent = MATCH_MODE_HELP[mode] || '';
+}
+
+// Warn when the key wants incognito tabs from a browser that may not use them
+function updateIncognitoWarning() {
+  const warning = document.getElementById('incognitoWarning');
+  const selector = document.getElementById('browser').value;
+  const blocked = document.getElementById('incognito').value !== 'incognito' ? [] : connectedBrowsers.filter(browser =>
+    browser.incognitoAccess === false &&
+    (!selector || selector === browser.instanceId || selector === browser.browser)
+  );
+  
+  warning.style.display = blocked.length > 0 ? '' : 'none';
+  warning.textContent = blocked.length > 0
+    ? `${blocked.map(browser => browser.label).join(', ')} cannot use incognito tabs. ` +
+      'Turn on "Allow in Incognito" in the extension\'s details page.'
+    : '';
+}
+
+// Name and position fields only for placements that open a window
+function updatePlacementUI() {
+  const mode = document.getElementById('placement').value;
+  const shown = actionInfo && (actionInfo.action === SWITCH_ACTION_UUID || actionInfo.action === ENVIRONMENT_ACTION_UUID);
+  const opensWindow = mode === 'newWindow' || mode === 'popup' || mode === 'namedWindow';
+  document.getElementById('windowNameRow').style.display = shown && mode === 'namedWindow' ? '' : 'none';
+  document.getElementById('windowBoundsRow').style.display = shown && opensWindow ? '' : 'none';
+  document.getElementById('placementHelp').textContent = PLACEMENT_HELP[mode] || '';
+}
+
+// Group name and color only apply to the tab group layout
+function updateWorkspaceUI() {
+  const isGroup = document.getElementById('workspaceLayout').value === 'group';
+  const isWorkspace = actionInfo && actionInfo.action === WORKSPACE_ACTION_UUID;
+  document.getElementById('groupRow').style.display = isWorkspace && isGroup ? '' : 'none';
+}
+
+function updateIconUI() {
+  const preview = document.getElementById('customImagePreview');
+  const isCustom = document.getElementById('iconSource').value === 'custom';
+  document.getElementById('customImageRow').style.display = isCustom ? '' : 'none';
+  if (settings.customImage) {
+    preview.src = settings.customImage;
+  } else {
+    preview.removeAttribute('src');
+  }
+}
+
+// Scale an uploaded image to key size and store it as a PNG data URI
+function loadCustomImage(file) {
+  const reader = new FileReader();
+  reader.onload = function() {
+    const image = new Image();
+    image.onload = function() {
+      const canvas = document.createElement('canvas');
+      canvas.width = CUSTOM_IMAGE_SIZE;
+      canvas.height = CUSTOM_IMAGE_SIZE;
+      const scale = Math.min(CUSTOM_IMAGE_SIZE / image.width, CUSTOM_IMAGE_SIZE / image.height);
+      const width = image.width * scale;
+      const height = image.height * scale;
+      canvas.getContext('2d').drawImage(
+        image,
+        (CUSTOM_IMAGE_SIZE - width) / 2,
+        (CUSTOM_IMAGE_SIZE - height) / 2,
+        width,
+        height
+      );
+      settings.customImage = canvas.toDataURL('image/png');
+      updateIconUI();
+      saveSettings();
+    };
+    image.src = reader.result;
+  };
+  reader.readAsDataURL(file);
+}
+
 function saveSettings() {
   settings.url = document.getElementById('url').value;
   settings.title = document.getElementById('title').value;
+  settings.matchMode = document.getElementById('matchMode').value;
+  settings.matchPattern = document.getElementById('matchPattern').value;
+  settings.browser = document.getElementById('browser').value;
+  settings.cycle = document.getElementById('cycle').checked;
+  settings.shortPressAction = document.getElementById('shortPressAction').value;
+  settings.longPressAction = document.getElementById('longPressAction').value;
+  settings.doublePressAction = document.getElementById('doublePressAction').value;
+  settings.iconSource = document.getElementById('iconSource').value;
+  settings.urls = document.getElementById('workspaceURLs').value
+    .split('\n')
+    .map(url => url.trim())
+    .filter(Boolean);
+  settings.workspaceLayout = document.getElementById('workspaceLayout').value;
+  settings.groupName = document.getElementById('groupName').value;
+  settings.groupColor = document.getElementById('groupColor').value;
+  settings.closeOnSecondPress = document.getElementById('closeOnSecondPress').checked;
+  settings.snapshotName = document.getElementById('snapshotName').value.trim();
+  settings.finderFilter = document.getElementById('finderFilter').value.trim();
+  settings.boardRole = document.getElementById('boardRole').value;
+  settings.placement = document.getElementById('placement').value;
+  settings.incognito = document.getElementById('incognito').value;
+  settings.windowName = document.getElementById('windowName').value.trim();
+  WINDOW_BOUNDS_FIELDS.forEach(id => {
+    const value = parseInt(document.getElementById(id).value, 10);
+    settings[id] = Number.isInteger(value) ? value : null;
+  });
 
   websocket.send(JSON.stringify({
     event: 'setSettings',
@@ -110,11 +651,118 @@ document.addEventListener('DOMContentLoaded', function() {
   // Save settings on input change (with debounce)
   let saveTimer = null;
   
-  const inputs = document.querySelectorAll('input');
+  const inputs = document.querySelectorAll('input[type="text"]');
   inputs.forEach(input => {
     input.addEventListener('input', function() {
       clearTimeout(saveTimer);
       saveTimer = setTimeout(saveSettings, 300);
     });
   });
+  
+  let previewTimer = null;
+  document.getElementById('url').addEventListener('input', function() {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(requestURLPreview, PREVIEW_DEBOUNCE);
+  });
+  
+  document.getElementById('workspaceURLs').addEventListener('input', function() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(saveSettings, 300);
+  });
+  
+  document.getElementById('workspaceLayout').addEventListener('change', function() {
+    updateWorkspaceUI();
+    saveSettings();
+  });
+  
+  ['groupColor', 'closeOnSecondPress', 'boardRole'].forEach(id => {
+    document.getElementById(id).addEventListener('change', saveSettings);
+  });
+  
+  document.getElementById('placement').addEventListener('change', function() {
+    updatePlacementUI();
+    saveSettings();
+  });
+  
+  WINDOW_BOUNDS_FIELDS.forEach(id => {
+    document.getElementById(id).addEventListener('change', saveSettings);
+  });
+  
+  document.getElementById('refreshSnapshots').addEventListener('click', requestSnapshots);
+  
+  document.getElementById('snapshotDir').addEventListener('change', function() {
+    sendToPlugin({ action: 'setSnapshotDir', snapshotDir: this.value });
+  });
+  
+  document.getElementById('addRewriteRule').addEventListener('click', function() {
+    rewriteRules.push({ from: '', to: '' });
+    renderRewriteRules();
+    const inputs = document.querySelectorAll('#rewriteRules input');
+    inputs[inputs.length - 2].focus();
+  });
+  
+  document.getElementById('variables').addEventListener('change', function() {
+    sendToPlugin({ action: 'setVariables', variables: this.value });
+  });
+  
+  document.getElementById('matchMode').addEventListener('change', function() {
+    updateMatchModeUI();
+    saveSettings();
+  });
+  
+  document.getElementById('cycle').addEventListener('change', saveSettings);
+  
+  document.getElementById('browser').addEventListener('change', function() {
+    updateIncognitoWarning();
+    saveSettings();
+  });
+  
+  document.getElementById('incognito').addEventListener('change', function() {
+    updateIncognitoWarning();
+    saveSettings();
+  });
+  
+  document.getElementById('copySecret').addEventListener('click', function() {
+    const field = document.getElementById('pairingSecret');
+    field.select();
+    document.execCommand('copy');
+  });
+  
+  document.getElementById('port').addEventListener('change', function() {
+    sendToPlugin({ action: 'setPort', port: this.value });
+  });
+  
+  document.getElementById('logLevel').addEventListener('change', function() {
+    sendToPlugin({ action: 'setLogLevel', logLevel: this.value });
+    sendToPlugin({ action: 'getLogs' });
+  });
+  
+  document.getElementById('apiPort').addEventListener('change', function() {
+    sendToPlugin({ action: 'setAPIPort', apiPort: this.value });
+  });
+  
+  document.getElementById('queueTimeout').addEventListener('change', function() {
+    sendToPlugin({ action: 'setQueueTimeout', queueTimeout: this.value });
+  });
+  
+  document.getElementById('regenerateSecret').addEventListener('click', function() {
+    if (confirm('Generate a new pairing secret? Every browser must be paired again.')) {
+      sendToPlugin({ action: 'regeneratePairingSecret' });
+    }
+  });
+  
+  ['shortPressAction', 'longPressAction', 'doublePressAction'].forEach(id => {
+    document.getElementById(id).addEventListener('change', saveSettings);
+  });
+  
+  document.getElementById('iconSource').addEventListener('change', function() {
+    updateIconUI();
+    saveSettings();
+  });
+  
+  document.getElementById('customImageFile').addEventListener('change', function() {
+    if (this.files && this.files[0]) {
+      loadCustomImage(this.files[0]);
+    }
+  });
 });
@@ -0,0 +1,68 @@
+// Key image rendering for StreamDeck URL Switcher
+// Builds SVG data URIs that Stream Deck accepts in setImage
+
+const KEY_SIZE = 144;
+
+// Indicator dot per Switch to URL key state (0 = not open, 1 = open, 2 = focused)
+const STATE_COLORS = [null, '#4a90d9', '#4caf50'];
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+// Icon centered in the upper part of the key, leaving the bottom for the title
+function renderKeyImage(iconDataURI, state = 0) {
+  const href = escapeAttribute(iconDataURI);
+  const color = STATE_COLORS[state];
+  const dot = color ? `<circle cx="124" cy="20" r="10" fill="${color}"/>` : '';
+
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+    `width="${KEY_SIZE}" height="${KEY_SIZE}" viewBox="0 0 ${KEY_SIZE} ${KEY_SIZE}">` +
+    `<rect width="${KEY_SIZE}" height="${KEY_SIZE}" fill="#1e1e1e"/>` +
+    `<image x="36" y="20" width="72" height="72" href="${href}" xlink:href="${href}"/>` +
+    dot +
+    `</svg>`;
+
+  return 'data:image/svg+xml;charset=utf8,' + encodeURIComponent(svg);
+}
+
+// Plain key background, for keys with nothing to show
+function renderBlankKey() {
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${KEY_SIZE}" height="${KEY_SIZE}">` +
+    `<rect width="${KEY_SIZE}" height="${KEY_SIZE}" fill="#1e1e1e"/>` +
+    `</svg>`;
+
+  return 'data:image/svg+xml;charset=utf8,' + encodeURIComponent(svg);
+}
+
+// Stand-in for a missing favicon: the first letter of label on a grey tile
+function renderLetterIcon(label, size = 48) {
+  const letter = escapeAttribute((String(label || '').trim()[0] || '?').toUpperCase());
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 48 48">` +
+    `<rect width="48" height="48" rx="8" fill="#3a3a3a"/>` +
+    `<text x="24" y="32" font-family="sans-serif" font-size="24" font-weight="bold" ` +
+    `fill="#dddddd" text-anchor="middle">${letter}</text>` +
+    `</svg>`;
+
+  return 'data:image/svg+xml;charset=utf8,' + encodeURIComponent(svg);
+}
+
+// Built-in icon for keys with no favicon or custom image: a globe on a grey tile
+function renderDefaultIcon(size = 48) {
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 48 48">` +
+    `<rect width="48" height="48" rx="8" fill="#3a3a3a"/>` +
+    `<g fill="none" stroke="#dddddd" stroke-width="2.5">` +
+    `<circle cx="24" cy="24" r="14"/>` +
+    `<ellipse cx="24" cy="24" rx="6" ry="14"/>` +
+    `<path d="M10 24h28M12.5 16h23M12.5 32h23"/>` +
+    `</g>` +
+    `</svg>`;
+
+  return 'data:image/svg+xml;charset=utf8,' + encodeURIComponent(svg);
+}
+
+module.exports = { KEY_SIZE, STATE_COLORS, renderKeyImage, renderBlankKey, renderLetterIcon, renderDefaultIcon };
@@ -0,0 +1,70 @@
+// Logging for StreamDeck URL Switcher
+// Wraps the shared JSON-lines logger (logger.js): entries go to the console
+// and, once openLogFile() was called, to plugin.log, which rotates by size.
+// Whatever runs inside withCorrelationId(), including everything it awaits,
+// is logged with the same correlation id, and requests it sends to the
+// extension carry that id too.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { Logger, createCorrelationId } = require('./logger');
+
+const correlation = new AsyncLocalStorage();
+
+const logger = new Logger({ component: 'plugin' });
+logger.getContext = () => {
+  const cid = correlation.getStore();
+  return cid ? { cid } : {};
+};
+
+function openLogFile(file) {
+  logger.setFile(file);
+}
+
+// Write queued lines synchronously, e.g. when the process exits
+function flushLogs() {
+  logger.flushSync();
+}
+
+// Tests turn the console output off to keep their report readable
+function setConsoleLogging(enabled) {
+  logger.output = enabled ? console : null;
+}
+
+// 'debug', 'info', 'warn' or 'error'; anything else restores the default.
+// Returns the level now in effect.
+function setLogLevel(level) {
+  return logger.setLevel(level);
+}
+
+// level: 'DEBUG', 'INFO', 'SUCCESS' (logged as info), 'WARN' or 'ERROR'.
+// fields are stored in the entry next to the message.
+function log(message, level = 'INFO', fields) {
+  logger.log(level, message, fields);
+}
+
+// Run fn with its own correlation id; returns what fn returns
+function withCorrelationId(fn, cid = createCorrelationId()) {
+  return correlation.run(cid, fn);
+}
+
+// Correlation id of the work in progress, or null
+function getCorrelationId() {
+  return correlation.getStore() || null;
+}
+
+// The latest entries at level or above, for the property inspector
+function getRecentLogs(limit, level) {
+  return logger.getRecent(limit, level);
+}
+
+module.exports = {
+  log,
+  openLogFile,
+  flushLogs,
+  setConsoleLogging,
+  setLogLevel,
+  withCorrelationId,
+  getCorrelationId,
+  getRecentLogs,
+  createCorrelationId
+};
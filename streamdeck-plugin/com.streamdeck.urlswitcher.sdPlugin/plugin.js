@@ -2,181 +2,107 @@
 // Hosts a WebSocket server that Chrome extension connects to
 
 const WebSocket = require('ws');
-const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
+const { GestureDetector } = require('./gesture-detector');
+const { FaviconCache, getOrigin } = require('./favicon-cache');
+const { renderKeyImage, renderBlankKey, renderLetterIcon, renderDefaultIcon } = require('./key-image');
+const { CommandQueue, QUEUE_TTL_MS } = require('./command-queue');
+const { isTemplate, getTemplateNeeds, expandTemplate, parseVariables } = require('./url-template');
+const { readClipboard } = require('./clipboard');
+const { validateRules, rewriteURL } = require('./url-rewrite');
+const { SnapshotStore } = require('./snapshot-store');
+const { filterTabs, stepIndex, findSelection, getTabHost } = require('./tab-finder');
+const { orderSlots, pageCount, windowKey, listWindows, nextWindow, shortTitle } = require('./tab-board');
+const { ControlServer, API_HOST } = require('./http-api');
+const { ExtensionServer } = require('./extension-server');
+const { log, openLogFile, flushLogs, setLogLevel, withCorrelationId, getCorrelationId, getRecentLogs, createCorrelationId } = require('./log');
+const { DEFAULT_LOG_LEVEL } = require('./logger');
+const { compareScores } = require('./url-matcher');
+const Protocol = require('./protocol');
 
-const WS_PORT = 9334;
 const ACTION_UUID = 'com.streamdeck.urlswitcher.switch';
-
-// Logging to file for debugging
-const logFile = path.join(__dirname, 'plugin.log');
-
-// Clear log on startup
-fs.writeFileSync(logFile, '');
-
-function log(message, level = 'INFO') {
-  const timestamp = new Date().toISOString();
-  const line = `[${timestamp}] [${level}] ${message}\n`;
-  fs.appendFileSync(logFile, line);
-  console.log(`[${level}] ${message}`);
-}
-
-log('Plugin script loaded');
-
-// ============================================================
-// WebSocket Server for Chrome Extension (Singleton)
-// ============================================================
-
-class ExtensionServer {
-  constructor() {
-    this.wss = null;
-    this.extensionSocket = null;  // The connected Chrome extension
-    this.pendingRequests = new Map();
-    this.requestId = 0;
-    this.started = false;
-    this.onConnectionChange = null;  // Callback for connection status changes
-  }
-
-  start() {
-    if (this.started) {
-      log('WebSocket server already started');
-      return;
-    }
-
-    try {
-      this.wss = new WebSocket.Server({ port: WS_PORT });
-      this.started = true;
-
-      this.wss.on('connection', (ws, req) => {
-        const clientIp = req.socket.remoteAddress;
-        log(`Chrome extension connected from ${clientIp}`, 'SUCCESS');
-        
-        // Only keep one extension connection
-        if (this.extensionSocket && this.extensionSocket.readyState === WebSocket.OPEN) {
-          log('Closing previous extension connection');
-          this.extensionSocket.close();
-        }
-        this.extensionSocket = ws;
-        
-        // Notify connection change
-        if (this.onConnectionChange) {
-          this.onConnectionChange(true);
-        }
-
-        ws.on('message', (data) => {
-          try {
-            const message = JSON.parse(data.toString());
-            this.handleExtensionMessage(message);
-          } catch (e) {
-            log('Error parsing extension message: ' + e.message, 'ERROR');
-          }
-        });
-
-        ws.on('close', (code, reason) => {
-          log(`Chrome extension disconnected (code: ${code})`, 'WARN');
-          if (this.extensionSocket === ws) {
-            this.extensionSocket = null;
-            // Notify connection change
-            if (this.onConnectionChange) {
-              this.onConnectionChange(false);
-            }
-          }
-        });
-
-        ws.on('error', (error) => {
-          log('Extension WebSocket error: ' + error.message, 'ERROR');
-        });
-      });
-
-      this.wss.on('error', (error) => {
-        log('WebSocket server error: ' + error.message, 'ERROR');
-      });
-
-      log(`WebSocket server listening on port ${WS_PORT}`, 'SUCCESS');
-    } catch (error) {
-      log('Failed to start WebSocket server: ' + error.message, 'ERROR');
-    }
-  }
-
-  isConnected() {
-    return this.extensionSocket && this.extensionSocket.readyState === WebSocket.OPEN;
-  }
-
-  handleExtensionMessage(message) {
-    // Handle ping/keep-alive from extension
-    if (message.action === 'ping') {
-      log('Received keep-alive ping from extension', 'DEBUG');
-      this.sendRawToExtension({ action: 'pong' });
-      return;
-    }
-    
-    log(`← Extension: ${JSON.stringify(message)}`, 'DEBUG');
-
-    // Find pending request and resolve it
-    const pending = this.pendingRequests.get(message.id);
-    if (pending) {
-      const duration = Date.now() - pending.timestamp;
-      this.pendingRequests.delete(message.id);
-
-      if (message.error) {
-        log(`Request failed: ${message.error}`, 'ERROR');
-        pending.reject(new Error(message.error));
-      } else {
-        log(`Request completed in ${duration}ms`, 'SUCCESS');
-        pending.resolve(message);
-      }
-    }
-  }
-
-  // Send raw message without tracking (for pings/pongs)
-  sendRawToExtension(message) {
-    if (this.isConnected()) {
-      this.extensionSocket.send(JSON.stringify(message));
-    }
-  }
-
-  sendToExtension(action, data = {}) {
-    return new Promise((resolve, reject) => {
-      if (!this.isConnected()) {
-        reject(new Error('Chrome extension not connected'));
-        return;
-      }
-
-      const id = ++this.requestId;
-      this.pendingRequests.set(id, { 
-        resolve, 
-        reject, 
-        timestamp: Date.now() 
-      });
-
-      const message = { id, action, ...data };
-      log(`→ Extension: ${JSON.stringify(message)}`, 'DEBUG');
-      this.extensionSocket.send(JSON.stringify(message));
-
-      // Timeout after 10 seconds
-      setTimeout(() => {
-        if (this.pendingRequests.has(id)) {
-          this.pendingRequests.delete(id);
-          reject(new Error('Request timeout'));
-        }
-      }, 10000);
-    });
-  }
+const ENVIRONMENT_ACTION_UUID = 'com.streamdeck.urlswitcher.environment';
+const WORKSPACE_ACTION_UUID = 'com.streamdeck.urlswitcher.workspace';
+const SNAPSHOT_ACTION_UUID = 'com.streamdeck.urlswitcher.snapshot';
+const RESTORE_ACTION_UUID = 'com.streamdeck.urlswitcher.restore';
+const FINDER_ACTION_UUID = 'com.streamdeck.urlswitcher.finder';
+const BOARD_ACTION_UUID = 'com.streamdeck.urlswitcher.board';
+const DEFAULT_SNAPSHOT_NAME = 'default';
+const STATE_REFRESH_DEBOUNCE = 250; // ms to wait for tab events to settle before redrawing
+const LOG_VIEWER_ENTRIES = 100;     // Log entries shown in the property inspector
+
+// Key icon when there is no favicon or custom image; the state dot is drawn on it
+const DEFAULT_ICON = renderDefaultIcon();
+
+// Switch to URL key states (order matches States in manifest.json)
+const BUTTON_STATES = {
+  closed: 0,  // No matching tab
+  open: 1,    // Matching tab open in the background
+  focused: 2  // Matching tab is the focused tab
+};
+
+// Single-press tab actions: action UUID -> extension command and extra fields
+const TAB_ACTIONS = {
+  'com.streamdeck.urlswitcher.close': { command: 'closeTabs' },
+  'com.streamdeck.urlswitcher.reload': { command: 'reloadTab', data: { bypassCache: true } },
+  'com.streamdeck.urlswitcher.pin': { command: 'togglePin' },
+  'com.streamdeck.urlswitcher.mute': { command: 'toggleMute' },
+  'com.streamdeck.urlswitcher.duplicate': { command: 'duplicateTab' },
+  'com.streamdeck.urlswitcher.move': { command: 'moveToNewWindow' }
+};
+
+// Window bounds in a placement -> the key setting holding each
+const WINDOW_BOUNDS_SETTINGS = {
+  left: 'windowLeft',
+  top: 'windowTop',
+  width: 'windowWidth',
+  height: 'windowHeight'
+};
+
+// The tab in front: active in its window, and of those the most recently used
+function findFocusedTab(tabs) {
+  return tabs
+    .filter(tab => tab.active)
+    .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0))[0] || null;
 }
 
-// Single shared server instance
-const extensionServer = new ExtensionServer();
-
 // ============================================================
 // StreamDeck Plugin
 // ============================================================
 
 class URLSwitcherPlugin {
-  constructor() {
+  // dataDir holds favicons.json and the default snapshots folder; tests pass
+  // their own extension server and a temporary folder.
+  constructor({ extensionServer = new ExtensionServer(), dataDir = __dirname } = {}) {
+    this.extensionServer = extensionServer;
+    this.dataDir = dataDir;
     this.websocket = null;          // StreamDeck WebSocket
     this.globalSettings = {};
     this.actionSettings = new Map(); // context -> settings
     this.activeContexts = new Set(); // Track all visible button contexts
+    this.contextActions = new Map(); // context -> action UUID
+    this.cycleState = new Map();     // context -> { lastTabId } for cycling keys
+    this.openWorkspaces = new Set(); // Workspace keys whose last press opened their workspace
+    this.gestures = new GestureDetector((context, gesture) => this.onGesture(context, gesture));
+    this.buttonStates = new Map();   // context -> last state index sent, to skip redundant setState
+    this.stateRefreshTimer = null;
+    this.buttonImages = new Map();   // context -> icon currently drawn
+    this.favicons = new FaviconCache(path.join(dataDir, 'favicons.json'));
+    this.fetchedFavicons = new Set(); // origins fetched from the browser this session
+    this.commandQueue = new CommandQueue(() => this.extensionServer.isConnected());
+    this.pendingContexts = new Set(); // contexts with a press waiting in commandQueue
+    this.keyCommands = new Map();    // context -> AbortController of the press in flight
+    this.finders = new Map();        // Tab Finder dial context -> { tabs, index, loaded }
+    this.boards = new Map();         // device -> Tab Board { keys, tabs, page, window }
+    this.boardKeys = new Map();      // Tab Board key context -> what it shows, to skip redundant redraws
+    this.tabListRefreshId = 0;       // Only the latest tab list refresh is applied
+    this.pressIds = new Map();       // context -> correlation id of its latest press
+    this.controlServer = new ControlServer({
+      getSecret: () => this.globalSettings.pairingSecret || null,
+      handle: (action, data) => withCorrelationId(() => this.handleAPIRequest(action, data))
+    });
+    this.apiError = '';              // Why the HTTP API isn't listening, for the PI
   }
 
   connectToStreamDeck(port, pluginUUID, registerEvent, info) {
@@ -196,12 +122,22 @@ class URLSwitcherPlugin {
       log('Connected to StreamDeck', 'SUCCESS');
       
       // Set up connection change callback
-      extensionServer.onConnectionChange = (connected) => {
+      this.extensionServer.onConnectionChange = (connected) => {
         this.onExtensionConnectionChange(connected);
       };
+      this.extensionServer.onEvent = (event) => {
+        this.onExtensionEvent(event);
+      };
+      this.extensionServer.onBrowsersChange = (browsers) => {
+        log(`Connected browsers: ${browsers.map(browser => browser.label).join(', ') || 'none'}`);
+        this.scheduleTabStateRefresh();
+      };
       
-      // Start the WebSocket server for Chrome extension
-      extensionServer.start();
+      // The server starts once global settings (with the pairing secret) arrive
+      this.send({
+        event: 'getGlobalSettings',
+        context: pluginUUID
+      });
     });
 
     this.websocket.on('message', (data) => {
@@ -218,6 +154,21 @@ class URLSwitcherPlugin {
     });
   }
   
+  // Disconnect from Stream Deck and close both servers
+  stop() {
+    clearTimeout(this.stateRefreshTimer);
+    this.stateRefreshTimer = null;
+    for (const board of this.boards.values()) {
+      clearTimeout(board.renderTimer);
+    }
+    if (this.websocket) {
+      this.websocket.close();
+      this.websocket = null;
+    }
+    this.controlServer.stop();
+    this.extensionServer.stop();
+  }
+  
   // Called when Chrome extension connects/disconnects
   onExtensionConnectionChange(connected) {
     log(`Extension connection changed: ${connected}`, connected ? 'SUCCESS' : 'WARN');
@@ -226,21 +177,183 @@ class URLSwitcherPlugin {
     for (const context of this.activeContexts) {
       this.updateButtonState(context, connected);
     }
+    
+    // Replay presses made while no browser was connected
+    if (connected && this.commandQueue.size > 0) {
+      log(`Replaying ${this.commandQueue.size} queued command(s)`);
+      this.commandQueue.flush();
+    }
+  }
+
+  onExtensionEvent(event) {
+    if (event.event === 'tabsChanged') {
+      this.scheduleTabStateRefresh();
+    }
+  }
+  
+  // A burst of tab events results in a single refresh. The timer is not
+  // restarted by later events, so constant navigation can't postpone it forever.
+  scheduleTabStateRefresh() {
+    if (this.stateRefreshTimer) return;
+    this.stateRefreshTimer = setTimeout(() => {
+      this.stateRefreshTimer = null;
+      this.refreshTabStates();
+      this.refreshTabLists();
+    }, STATE_REFRESH_DEBOUNCE);
+  }
+  
+  // Ask the browsers which Switch to URL keys have their tab open or focused
+  async refreshTabStates() {
+    if (!this.extensionServer.isConnected()) return;
+    
+    const targets = [];
+    for (const context of this.activeContexts) {
+      const settings = this.actionSettings.get(context) || {};
+      const url = this.getStaticURL(settings);
+      if (this.contextActions.get(context) === ACTION_UUID && url) {
+        const { browser, ...matchOptions } = this.getMatchOptions(settings);
+        targets.push({ key: context, url, ...matchOptions });
+      }
+    }
+    if (targets.length === 0) return;
+    
+    // A key is as "open" as its most open tab in any browser it targets
+    // (BUTTON_STATES values grow from closed to focused)
+    const merged = {};
+    const results = await this.extensionServer.sendToAllExtensions('getTabStates', { targets });
+    for (const { browser, response, error } of results) {
+      if (error) {
+        log(`Failed to get tab states from ${this.extensionServer.describeBrowser(browser)}: ${error.message}`, 'WARN');
+        continue;
+      }
+      for (const [context, tabState] of Object.entries(response.states || {})) {
+        const selector = (this.actionSettings.get(context) || {}).browser;
+        if (selector && !this.extensionServer.matchesSelector(browser, selector)) continue;
+        if ((BUTTON_STATES[tabState] ?? -1) > (BUTTON_STATES[merged[context]] ?? -1)) {
+          merged[context] = tabState;
+        }
+      }
+    }
+    
+    for (const { key: context } of targets) {
+      const tabState = merged[context] || 'closed';
+      if (this.activeContexts.has(context)) {
+        this.setButtonState(context, BUTTON_STATES[tabState]);
+        if (tabState !== 'closed') {
+          this.refreshFavicon(context);
+        }
+      }
+    }
+  }
+  
+  // setState only when it differs from what the key already shows
+  setButtonState(context, state) {
+    if (this.buttonStates.get(context) === state) return;
+    this.buttonStates.set(context, state);
+    this.setState(context, state);
+  }
+  
+  // Icon for a Switch to URL key: custom upload, cached favicon, or null for the built-in icon
+  getButtonIcon(settings) {
+    switch (settings.iconSource || 'favicon') {
+      case 'custom':
+        return settings.customImage || null;
+      case 'favicon':
+        return this.favicons.get(getOrigin(this.getStaticURL(settings)));
+      default:
+        return null;
+    }
+  }
+  
+  // Draw the key icon into every state image, skipping keys that already show it.
+  // Keys without an icon get the built-in one, so the state dot always shows.
+  updateButtonImage(context) {
+    if (this.contextActions.get(context) !== ACTION_UUID) return;
+    
+    const icon = this.getButtonIcon(this.actionSettings.get(context) || {}) || DEFAULT_ICON;
+    if (this.buttonImages.get(context) === icon) return;
+    this.buttonImages.set(context, icon);
+    
+    for (const state of Object.values(BUTTON_STATES)) {
+      this.setImage(context, renderKeyImage(icon, state), state);
+    }
+  }
+  
+  // Fetch the favicon of the key's open tab once per origin per session and cache it
+  refreshFavicon(context) {
+    const settings = this.actionSettings.get(context) || {};
+    if ((settings.iconSource || 'favicon') === 'favicon') {
+      this.fetchFavicon(this.getStaticURL(settings), this.getMatchOptions(settings));
+    }
+  }
+  
+  // Fetch the favicon of the tab matching url into the cache, once per origin
+  // per session, and redraw the keys and dials showing that origin
+  async fetchFavicon(url, options = {}) {
+    const origin = getOrigin(url);
+    if (!origin || this.fetchedFavicons.has(origin)) {
+      return;
+    }
+    this.fetchedFavicons.add(origin);
+    
+    try {
+      const browser = await this.resolveBrowser(url, options);
+      const response = await this.extensionServer.sendToExtension('getFavicon', {
+        url,
+        matchMode: options.matchMode,
+        matchPattern: options.matchPattern,
+        incognito: options.incognito
+      }, { browser });
+      if (!response.result || !response.result.success) {
+        throw new Error(response.result?.error || 'Unknown error');
+      }
+      
+      this.favicons.set(origin, response.result.dataURI);
+      log(`Cached favicon for ${origin}`);
+      for (const other of this.activeContexts) {
+        if (getOrigin(this.getStaticURL(this.actionSettings.get(other) || {})) === origin) {
+          this.updateButtonImage(other);
+        }
+      }
+      for (const [context, finder] of this.finders) {
+        const tab = finder.tabs[finder.index];
+        if (tab && getOrigin(tab.url) === origin) {
+          this.renderFinder(context);
+        }
+      }
+      for (const board of this.boards.values()) {
+        this.renderBoard(board);
+      }
+    } catch (error) {
+      // Allow another attempt on the next tab change
+      this.fetchedFavicons.delete(origin);
+      log(`Failed to fetch favicon for ${origin}: ${error.message}`, 'WARN');
+    }
   }
   
   // Update a button's visual state based on connection status
   updateButtonState(context, connected) {
     const settings = this.actionSettings.get(context) || {};
     
-    if (connected) {
+    if (this.finders.has(context)) {
+      this.renderFinder(context);
+      if (connected) this.scheduleTabStateRefresh();
+    } else if (this.findBoard(context)) {
+      const board = this.findBoard(context);
+      if (!connected) board.tabs = [];
+      this.scheduleBoardRender(board);
+      if (connected) this.scheduleTabStateRefresh();
+    } else if (this.pendingContexts.has(context)) {
+      this.setTitle(context, '⏳\nWaiting');
+    } else if (connected) {
       // Show configured title or URL snippet when connected
-      const title = settings.title || this.getURLSnippet(settings.url);
+      const title = settings.title || this.getURLSnippet(settings.url) || settings.snapshotName || '';
       this.setTitle(context, title);
-      this.setState(context, 0);  // Normal state
+      this.scheduleTabStateRefresh();
     } else {
       // Show disconnected indicator
       this.setTitle(context, '⚠️\nNo Browser');
-      this.setState(context, 0);
+      this.setButtonState(context, BUTTON_STATES.closed);
     }
   }
   
@@ -271,15 +384,30 @@ class URLSwitcherPlugin {
   }
 
   handleStreamDeckMessage(message) {
-    const { event, action, context, payload } = message;
+    const { event, action, context, device, payload } = message;
 
     switch (event) {
       case 'keyDown':
-        this.onKeyDown(context, payload);
+        this.pressIds.set(context, createCorrelationId());
+        this.withPressId(context, () => this.onKeyDown(context, payload, action));
+        break;
+
+      case 'keyUp':
+        this.withPressId(context, () => this.onKeyUp(context, payload));
+        break;
+
+      case 'dialRotate':
+        this.onDialRotate(context, payload);
+        break;
+
+      case 'dialDown':
+      case 'touchTap':
+        this.pressIds.set(context, createCorrelationId());
+        this.withPressId(context, () => this.onDialPress(context));
         break;
 
       case 'willAppear':
-        this.onWillAppear(context, payload);
+        this.onWillAppear(context, payload, action, device);
         break;
 
       case 'willDisappear':
@@ -291,7 +419,7 @@ class URLSwitcherPlugin {
         break;
 
       case 'didReceiveGlobalSettings':
-        this.globalSettings = payload.settings || {};
+        this.onDidReceiveGlobalSettings(payload);
         break;
 
       case 'propertyInspectorDidConnect':
@@ -304,133 +432,1286 @@ class URLSwitcherPlugin {
     }
   }
 
+  // Everything a press leads to, from the key event to the extension's
+  // response, is logged with the press's correlation id
+  withPressId(context, fn) {
+    return withCorrelationId(fn, this.pressIds.get(context));
+  }
+
   // ============================================================
   // StreamDeck Event Handlers
   // ============================================================
 
-  onKeyDown(context, payload) {
+  onKeyDown(context, payload, action) {
     const settings = this.actionSettings.get(context) || {};
-    const url = settings.url;
 
-    if (!url) {
+    if (action === SNAPSHOT_ACTION_UUID || action === RESTORE_ACTION_UUID) {
+      const restore = action === RESTORE_ACTION_UUID;
+      log(`Button pressed - ${restore ? 'restore' : 'save'} snapshot`);
+      this.runWhenConnected(context, () => restore
+        ? this.restoreSnapshot(context, settings)
+        : this.saveSnapshot(context, settings));
+      return;
+    }
+
+    if (action === BOARD_ACTION_UUID) {
+      this.onBoardKey(context);
+      return;
+    }
+
+    if (action === WORKSPACE_ACTION_UUID) {
+      log('Button pressed - workspace');
+      this.runWhenConnected(context, () => this.toggleWorkspace(context, settings));
+      return;
+    }
+
+    if (action === ENVIRONMENT_ACTION_UUID) {
+      log('Button pressed - switch environment');
+      this.runWhenConnected(context, () => this.switchEnvironment(context, settings));
+      return;
+    }
+
+    if (!settings.url) {
       log('No URL configured for this button', 'WARN');
       this.showAlert(context);
       return;
     }
 
-    log(`Button pressed - switching to: ${url}`);
-    this.switchToURL(url, context);
+    const tabAction = TAB_ACTIONS[action];
+    if (tabAction) {
+      log(`Button pressed - ${tabAction.command}: ${settings.url}`);
+      this.runWhenConnected(context, () => this.runTabAction(context, tabAction, settings));
+      return;
+    }
+
+    this.gestures.keyDown(context, {
+      longPress: (settings.longPressAction || 'none') !== 'none',
+      doublePress: (settings.doublePressAction || 'none') !== 'none'
+    });
   }
 
-  async switchToURL(url, context) {
-    try {
-      const response = await extensionServer.sendToExtension('switchToURL', { url });
-      
-      if (response.result && response.result.success) {
-        log(`Switched to URL: ${url}`, 'SUCCESS');
-        this.showOk(context);
-      } else {
-        log(`Failed to switch: ${response.result?.error || 'Unknown error'}`, 'ERROR');
-        this.showAlert(context);
-      }
-    } catch (error) {
-      log('Failed to switch URL: ' + error.message, 'ERROR');
-      this.showAlert(context);
-    }
+  onKeyUp(context, payload) {
+    this.gestures.keyUp(context);
   }
 
-  onWillAppear(context, payload) {
-    this.actionSettings.set(context, payload.settings || {});
-    this.activeContexts.add(context);
-    log(`Action appeared: ${context.substring(0, 8)}...`);
-    
-    // Update button with current connection state
-    this.updateButtonState(context, extensionServer.isConnected());
+  // Turning a Tab Finder dial moves the selection by one tab per tick
+  onDialRotate(context, payload) {
+    const finder = this.finders.get(context);
+    if (!finder || finder.tabs.length === 0) return;
+    finder.index = stepIndex(finder.index, payload.ticks || 0, finder.tabs.length);
+    this.renderFinder(context);
   }
 
-  onWillDisappear(context) {
-    this.actionSettings.delete(context);
-    this.activeContexts.delete(context);
+  // Pressing the dial or tapping its touch strip switches to the selected tab
+  onDialPress(context) {
+    const finder = this.finders.get(context);
+    const tab = finder && finder.tabs[finder.index];
+    if (!tab) {
+      log('Tab Finder has no tab selected', 'WARN');
+      this.showAlert(context);
+      return;
+    }
+    log(`Dial pressed - switching to tab ${tab.id}: ${tab.url}`);
+    this.runWhenConnected(context, () => this.runTabCommand(context, 'activateTab',
+      { tabId: tab.id, windowId: tab.windowId }, tab.browser));
   }
 
-  onDidReceiveSettings(context, payload) {
-    this.actionSettings.set(context, payload.settings || {});
-    // Update button display with new settings
-    this.updateButtonState(context, extensionServer.isConnected());
+  onGesture(context, gesture) {
+    const settings = this.actionSettings.get(context) || {};
+    const keyAction = {
+      short: settings.shortPressAction || 'switch',
+      long: settings.longPressAction || 'none',
+      double: settings.doublePressAction || 'none'
+    }[gesture];
+
+    log(`Button ${gesture} press - action: ${keyAction}`);
+    if (keyAction !== 'none') {
+      this.runWhenConnected(context, () => this.runKeyAction(context, keyAction, settings));
+    }
   }
 
-  onPropertyInspectorConnected(context) {
-    const isConnected = extensionServer.isConnected();
-    log(`Property inspector connected, extension status: ${isConnected}`);
+  // Run a key's command now, or queue it until a browser connects (the
+  // extension's service worker may be asleep or reconnecting). The key shows
+  // a waiting title meanwhile and an alert if the command expires.
+  runWhenConnected(context, run) {
+    if (this.extensionServer.isConnected() || this.commandQueue.ttl <= 0) {
+      this.startKeyCommand(context);
+      return run();
+    }
     
-    this.send({
-      event: 'sendToPropertyInspector',
-      context: context,
-      payload: {
-        extensionConnected: isConnected
-      }
+    log(`No browser connected, queueing command for ${context.substring(0, 8)}...`);
+    this.setPending(context, true);
+    // Replayed later, outside the press; keep logging it under the press's id
+    const cid = getCorrelationId();
+    this.commandQueue.enqueue(context, () => withCorrelationId(() => {
+      this.setPending(context, false);
+      this.startKeyCommand(context);
+      return run();
+    }, cid || undefined)).catch((error) => {
+      this.setPending(context, false);
+      if (error.code === Protocol.ERROR_CODES.CANCELLED) return;
+      log(`Queued command failed: [${error.code}] ${error.message}`, 'WARN');
+      this.showAlert(context);
     });
   }
+  
+  // A new press on a key cancels whatever its previous press still waits for
+  startKeyCommand(context) {
+    const previous = this.keyCommands.get(context);
+    if (previous) previous.abort();
+    this.keyCommands.set(context, new AbortController());
+  }
+  
+  // Request options for a key's current press
+  keyRequestOptions(context, browser) {
+    const controller = this.keyCommands.get(context);
+    return { browser, signal: controller && controller.signal };
+  }
+  
+  // Log a failed key command and flash an alert, unless a newer press cancelled it
+  reportKeyFailure(context, message, error) {
+    if (error.code === Protocol.ERROR_CODES.CANCELLED) {
+      log(`${message}: superseded by a newer press`, 'DEBUG');
+      return;
+    }
+    log(`${message}: ${error.message}`, 'ERROR');
+    this.showAlert(context);
+  }
+  
+  setPending(context, pending) {
+    const wasPending = this.pendingContexts.has(context);
+    if (pending) {
+      this.pendingContexts.add(context);
+    } else {
+      this.pendingContexts.delete(context);
+    }
+    if (pending !== wasPending && this.activeContexts.has(context)) {
+      this.updateButtonState(context, this.extensionServer.isConnected());
+    }
+  }
 
-  onSendToPlugin(context, payload) {
-    if (payload.action === 'checkConnection') {
-      const isConnected = extensionServer.isConnected();
-      
-      this.send({
-        event: 'sendToPropertyInspector',
-        context: context,
-        payload: {
-          extensionConnected: isConnected
-        }
+  // ============================================================
+  // Tab Lists (Tab Finder and Tab Board)
+  // ============================================================
+
+  // Reload the tabs shown by Tab Finder dials and Tab Board keys with one
+  // getTabs per browser. Keys and dials only redraw what changed.
+  async refreshTabLists() {
+    if ((this.finders.size === 0 && this.boards.size === 0) || !this.extensionServer.isConnected()) return;
+    
+    const refreshId = ++this.tabListRefreshId;
+    const results = await this.extensionServer.sendToAllExtensions('getTabs');
+    if (refreshId !== this.tabListRefreshId) return;
+    
+    // [{ browser, tabs }], each tab tagged with the instance ID and name of its browser
+    const lists = [];
+    for (const { browser, response, error } of results) {
+      if (error) {
+        log(`Failed to get tabs from ${this.extensionServer.describeBrowser(browser)}: ${error.message}`, 'WARN');
+        continue;
+      }
+      const browserLabel = this.extensionServer.describeBrowser(browser);
+      lists.push({
+        browser,
+        tabs: (response.tabs || []).map(tab => ({ ...tab, browser: browser.instanceId, browserLabel }))
       });
     }
+    
+    for (const [context, finder] of this.finders) {
+      this.updateFinderTabs(context, finder, lists);
+    }
+    for (const board of this.boards.values()) {
+      this.updateBoardTabs(board, lists.flatMap(list => list.tabs));
+    }
+  }
+  
+  // Cached favicon of the tab's site, fetched from its browser the first time
+  // it is shown; the first letter of its host until then
+  getTabIcon(tab) {
+    if (tab.favIconUrl && tab.favIconUrl.startsWith('data:')) {
+      return tab.favIconUrl;
+    }
+    const icon = this.favicons.get(getOrigin(tab.url));
+    if (icon) return icon;
+    
+    if (/^https?:/.test(tab.url)) {
+      this.fetchFavicon(tab.url, { matchMode: 'exact', browser: tab.browser });
+    }
+    return renderLetterIcon(getTabHost(tab.url) || tab.title);
   }
 
   // ============================================================
-  // StreamDeck Helpers
+  // Tab Finder
   // ============================================================
 
-  showOk(context) {
-    this.send({
-      event: 'showOk',
-      context: context
-    });
+  // A dial scrolls through the tabs of its browser that pass its filter, and
+  // keeps its selected tab selected while it stays open
+  updateFinderTabs(context, finder, lists) {
+    const settings = this.actionSettings.get(context) || {};
+    const tabs = lists
+      .filter(({ browser }) => !settings.browser || this.extensionServer.matchesSelector(browser, settings.browser))
+      .flatMap(list => list.tabs);
+    
+    const selected = finder.tabs[finder.index];
+    finder.tabs = filterTabs(tabs, settings.finderFilter);
+    finder.index = findSelection(finder.tabs, selected, finder.index);
+    finder.loaded = true;
+    this.renderFinder(context);
   }
-
-  showAlert(context) {
-    this.send({
-      event: 'showAlert',
-      context: context
+  
+  // Draw a Tab Finder's selected tab on its touch strip: favicon, title,
+  // host and position in the list
+  renderFinder(context) {
+    const finder = this.finders.get(context);
+    if (!finder) return;
+    const settings = this.actionSettings.get(context) || {};
+    
+    if (!this.extensionServer.isConnected()) {
+      this.setFeedback(context, {
+        icon: renderLetterIcon('!'),
+        tabTitle: 'No Browser',
+        detail: 'Extension not connected',
+        position: '',
+        indicator: 0
+      });
+      return;
+    }
+    
+    const tab = finder.tabs[finder.index];
+    if (!tab) {
+      this.setFeedback(context, {
+        icon: renderLetterIcon('?'),
+        tabTitle: !finder.loaded ? 'Loading…' : settings.finderFilter ? 'No matching tabs' : 'No tabs',
+        detail: settings.finderFilter || '',
+        position: '',
+        indicator: 0
+      });
+      return;
+    }
+    
+    const host = getTabHost(tab.url);
+    const count = finder.tabs.length;
+    const showBrowser = !settings.browser && this.extensionServer.getBrowsers().length > 1;
+    this.setFeedback(context, {
+      icon: this.getTabIcon(tab),
+      tabTitle: tab.title || tab.url,
+      detail: showBrowser ? `${host} · ${tab.browserLabel}` : host || tab.url,
+      position: `${finder.index + 1} / ${count}`,
+      indicator: count > 1 ? Math.round(finder.index / (count - 1) * 100) : 100
     });
   }
+  
+  // ============================================================
+  // Tab Board
+  // ============================================================
 
-  setTitle(context, title) {
-    this.send({
-      event: 'setTitle',
-      context: context,
-      payload: {
-        title: title
-      }
-    });
+  addBoardKey(context, device, coordinates) {
+    if (!this.boards.has(device)) {
+      this.boards.set(device, { keys: new Map(), tabs: [], page: 0, window: null, renderTimer: null });
+    }
+    this.boards.get(device).keys.set(context, coordinates || null);
   }
   
-  setState(context, state) {
-    this.send({
-      event: 'setState',
-      context: context,
-      payload: {
-        state: state
+  // The remaining tab keys of the board move up to fill the gap
+  removeBoardKey(context) {
+    this.boardKeys.delete(context);
+    for (const [device, board] of this.boards) {
+      if (!board.keys.delete(context)) continue;
+      if (board.keys.size === 0) {
+        clearTimeout(board.renderTimer);
+        this.boards.delete(device);
+      } else {
+        this.scheduleBoardRender(board);
       }
-    });
+    }
   }
   
-  setImage(context, image) {
-    this.send({
-      event: 'setImage',
-      context: context,
-      payload: {
-        image: image
-      }
+  // Board of the device a Tab Board key is on
+  findBoard(context) {
+    for (const board of this.boards.values()) {
+      if (board.keys.has(context)) return board;
+    }
+    return null;
+  }
+  
+  // 'tab' (default), 'previous', 'next' or 'window'
+  getBoardRole(context) {
+    return (this.actionSettings.get(context) || {}).boardRole || 'tab';
+  }
+  
+  // A board's tab keys in the order they are filled
+  getBoardSlots(board) {
+    return orderSlots([...board.keys].filter(([context]) => this.getBoardRole(context) === 'tab'));
+  }
+  
+  // Every open tab, or only those of the window picked with a window key
+  getBoardTabs(board) {
+    return board.window ? board.tabs.filter(tab => windowKey(tab) === board.window) : board.tabs;
+  }
+  
+  updateBoardTabs(board, tabs) {
+    board.tabs = tabs;
+    if (board.window && !listWindows(tabs).includes(board.window)) {
+      board.window = null;
+    }
+    this.renderBoard(board);
+  }
+  
+  // A page switch on the device makes all its keys appear or disappear at
+  // once; draw the board when that has settled
+  scheduleBoardRender(board) {
+    clearTimeout(board.renderTimer);
+    board.renderTimer = setTimeout(() => this.renderBoard(board), STATE_REFRESH_DEBOUNCE);
+  }
+  
+  // Fill the tab keys with the current page of tabs and label the control keys
+  renderBoard(board) {
+    const slots = this.getBoardSlots(board);
+    const tabs = this.getBoardTabs(board);
+    const pages = pageCount(tabs.length, slots.length);
+    board.page = Math.min(board.page, pages - 1);
+    const connected = this.extensionServer.isConnected();
+    const focused = findFocusedTab(board.tabs);
+    
+    slots.forEach((context, index) => {
+      const tab = tabs[board.page * slots.length + index];
+      this.drawBoardKey(context, tab ? {
+        title: shortTitle(tab.title || getTabHost(tab.url)),
+        image: renderKeyImage(this.getTabIcon(tab), tab === focused ? BUTTON_STATES.focused : BUTTON_STATES.closed)
+      } : {
+        title: '',
+        image: renderBlankKey()
+      });
+    });
+    
+    for (const context of board.keys.keys()) {
+      const role = this.getBoardRole(context);
+      if (role === 'tab') continue;
+      if (!connected) {
+        this.drawBoardKey(context, { title: '⚠️\nNo Browser' });
+      } else if (role === 'window') {
+        this.drawBoardKey(context, { title: this.describeBoardWindow(board) });
+      } else {
+        this.drawBoardKey(context, { title: `${role === 'next' ? '▶' : '◀'}\n${board.page + 1}/${pages}` });
+      }
+    }
+  }
+  
+  describeBoardWindow(board) {
+    if (!board.window) return 'All\nwindows';
+    const windows = listWindows(board.tabs);
+    return `Window\n${windows.indexOf(board.window) + 1} of ${windows.length}`;
+  }
+  
+  // Redraw a board key only when what it shows changed
+  drawBoardKey(context, { title, image }) {
+    const signature = JSON.stringify([title, image || '']);
+    if (this.boardKeys.get(context) === signature) return;
+    this.boardKeys.set(context, signature);
+    this.setTitle(context, title);
+    this.setImage(context, image);
+  }
+  
+  // Tab keys switch to their tab; control keys turn the page or step
+  // through the windows, then back to all windows
+  onBoardKey(context) {
+    const board = this.findBoard(context);
+    if (!board) return;
+    const role = this.getBoardRole(context);
+    const slots = this.getBoardSlots(board);
+    
+    if (role === 'next' || role === 'previous') {
+      const pages = pageCount(this.getBoardTabs(board).length, slots.length);
+      board.page = stepIndex(board.page, role === 'next' ? 1 : -1, pages);
+      log(`Tab Board page ${board.page + 1} of ${pages}`);
+      this.renderBoard(board);
+      return;
+    }
+    if (role === 'window') {
+      board.window = nextWindow(listWindows(board.tabs), board.window);
+      board.page = 0;
+      log(`Tab Board showing ${board.window ? 'window ' + board.window : 'all windows'}`);
+      this.renderBoard(board);
+      return;
+    }
+    
+    const tab = this.getBoardTabs(board)[board.page * slots.length + slots.indexOf(context)];
+    if (!tab) {
+      log('No tab on this Tab Board key', 'WARN');
+      this.showAlert(context);
+      return;
+    }
+    log(`Tab Board key pressed - switching to tab ${tab.id}: ${tab.url}`);
+    this.runWhenConnected(context, () => this.runTabCommand(context, 'activateTab',
+      { tabId: tab.id, windowId: tab.windowId }, tab.browser));
+  }
+
+  // ============================================================
+  // URL Templates
+  // ============================================================
+  
+  getVariables() {
+    return this.globalSettings.variables || {};
+  }
+  
+  // The key's URL with its placeholders filled in for this press.
+  // Throws TemplateError, or the request error if the active tab is needed.
+  async expandURL(context, settings) {
+    const variables = this.getVariables();
+    if (!isTemplate(settings.url, variables)) return settings.url;
+    
+    const needs = getTemplateNeeds(settings.url, variables);
+    const values = { variables };
+    if (needs.clipboard) {
+      values.clipboard = await readClipboard();
+    }
+    if (needs.activeTab) {
+      const response = await this.extensionServer.sendToExtension('getActiveTab', {},
+        this.keyRequestOptions(context, settings.browser || undefined));
+      values.activeTabURL = response.tab && response.tab.url;
+    }
+    return expandTemplate(settings.url, values);
+  }
+  
+  // Settings with the URL expanded, or null after flashing an alert
+  async withExpandedURL(context, settings) {
+    try {
+      const url = await this.expandURL(context, settings);
+      if (url !== settings.url) {
+        log(`Expanded ${settings.url} -> ${url}`, 'DEBUG');
+      }
+      return { ...settings, url };
+    } catch (error) {
+      this.reportKeyFailure(context, `Cannot expand ${settings.url}`, error);
+      return null;
+    }
+  }
+  
+  // URL for key states and icons, which have no press to read the clipboard
+  // or active tab for: null if the template needs either or doesn't expand
+  getStaticURL(settings) {
+    const variables = this.getVariables();
+    if (!isTemplate(settings.url, variables)) return settings.url;
+    try {
+      const needs = getTemplateNeeds(settings.url, variables);
+      if (needs.clipboard || needs.activeTab) return null;
+      return expandTemplate(settings.url, { variables });
+    } catch {
+      return null;
+    }
+  }
+  
+  // Expand a template for the property inspector's preview line
+  async previewURL(context, template, browser) {
+    let preview;
+    try {
+      const url = await this.expandURL(context, { url: template || '', browser });
+      preview = { template, url };
+    } catch (error) {
+      preview = { template, error: error.message };
+    }
+    this.send({
+      event: 'sendToPropertyInspector',
+      context: context,
+      payload: { preview }
+    });
+  }
+  
+  // Global variables from "name=value" lines; returns an error message or null
+  setVariables(text) {
+    let variables;
+    try {
+      variables = parseVariables(text);
+    } catch (error) {
+      return error.message;
+    }
+    this.globalSettings.variables = variables;
+    log(`URL variables set: ${Object.keys(variables).join(', ') || 'none'}`);
+    this.saveGlobalSettings();
+    
+    // Keys whose URL uses a variable may now match different tabs and icons
+    for (const context of this.activeContexts) {
+      this.updateButtonImage(context);
+    }
+    this.scheduleTabStateRefresh();
+    return null;
+  }
+  
+  getVariablesText() {
+    return Object.entries(this.getVariables()).map(([name, value]) => `${name}=${value}`).join('\n');
+  }
+
+  // Match options sent with URL commands; browser is the key's browser selector
+  getMatchOptions(settings) {
+    return {
+      matchMode: settings.matchMode,
+      matchPattern: settings.matchPattern,
+      incognito: settings.incognito && settings.incognito !== 'any' ? settings.incognito : undefined,
+      browser: settings.browser || undefined
+    };
+  }
+
+  // Where the extension opens the key's URL, and for 'currentWindow' where it
+  // moves a matching tab to; undefined leaves it to the browser
+  getPlacement(settings) {
+    const mode = settings.placement || 'default';
+    if (mode === 'default') return undefined;
+    
+    const placement = { mode };
+    if (mode === 'namedWindow') {
+      placement.windowName = settings.windowName || 'Stream Deck';
+    }
+    if (mode === 'newWindow' || mode === 'popup' || mode === 'namedWindow') {
+      for (const [key, setting] of Object.entries(WINDOW_BOUNDS_SETTINGS)) {
+        const value = parseInt(settings[setting], 10);
+        if (Number.isInteger(value)) placement[key] = value;
+      }
+    }
+    return placement;
+  }
+
+  // Browser a URL command should go to: the one named in the key's settings,
+  // else the browser holding the best matching tab, else the default browser
+  // (undefined). Only asks the browsers when more than one is connected.
+  async resolveBrowser(url, options = {}) {
+    const { browser, ...matchOptions } = options;
+    if (browser) return browser;
+    if (this.extensionServer.getBrowsers().length < 2) return undefined;
+
+    const results = await this.extensionServer.sendToAllExtensions('findBestTab', { url, ...matchOptions });
+    let best = null;
+    for (const { browser: candidate, response } of results) {
+      const match = response && response.match;
+      if (match && (!best || compareScores(match.score, best.match.score) < 0)) {
+        best = { browser: candidate, match };
+      }
+    }
+    if (best) {
+      log(`Best match for ${url} is in ${this.extensionServer.describeBrowser(best.browser)}`);
+    }
+    return best ? best.browser : undefined;
+  }
+
+  async runTabAction(context, tabAction, settings) {
+    settings = await this.withExpandedURL(context, settings);
+    if (!settings) return;
+    const { browser, ...matchOptions } = this.getMatchOptions(settings);
+    const data = { url: settings.url, ...matchOptions, ...tabAction.data };
+
+    // Closing every matching tab means every browser unless the key names one
+    if (tabAction.command === 'closeTabs' && !browser) {
+      this.runTabCommandInAllBrowsers(context, tabAction.command, data);
+      return;
+    }
+
+    const target = await this.resolveBrowser(settings.url, { browser, ...matchOptions });
+    this.runTabCommand(context, tabAction.command, data, target);
+  }
+
+  async runKeyAction(context, keyAction, settings) {
+    settings = await this.withExpandedURL(context, settings);
+    if (!settings) return;
+    const url = settings.url;
+    const options = { ...this.getMatchOptions(settings), placement: this.getPlacement(settings) };
+    const { browser, ...matchOptions } = options;
+
+    switch (keyAction) {
+      case 'switch':
+        if (settings.cycle) {
+          log(`Cycling through: ${url} (match: ${settings.matchMode || 'smart'})`);
+          this.cycleToURL(url, context, options);
+        } else {
+          log(`Switching to: ${url} (match: ${settings.matchMode || 'smart'})`);
+          this.switchToURL(url, context, options);
+        }
+        break;
+
+      case 'openNew':
+        this.runTabCommand(context, 'openURL', { url, placement: options.placement, incognito: options.incognito }, browser);
+        break;
+
+      case 'close':
+        this.runTabCommand(context, 'closeTab', { url, ...matchOptions },
+          await this.resolveBrowser(url, options));
+        break;
+
+      case 'reload':
+        this.runTabCommand(context, 'reloadTab', { url, ...matchOptions },
+          await this.resolveBrowser(url, options));
+        break;
+
+      case 'none':
+        break;
+
+      default:
+        log(`Unknown key action: ${keyAction}`, 'WARN');
+    }
+  }
+
+  // Send a command whose response carries { result: { success, error } }
+  // and flash the key accordingly. browser as for sendToExtension.
+  async runTabCommand(context, command, data, browser) {
+    try {
+      const response = await this.extensionServer.sendToExtension(command, data,
+        this.keyRequestOptions(context, browser));
+      
+      if (response.result && response.result.success) {
+        log(`${command} succeeded: ${response.result.action || 'done'}`, 'SUCCESS');
+        this.showOk(context);
+        return response.result;
+      }
+      log(`${command} failed: ${response.result?.error || 'Unknown error'}`, 'ERROR');
+      this.showAlert(context);
+    } catch (error) {
+      this.reportKeyFailure(context, `${command} failed`, error);
+    }
+    return null;
+  }
+
+  // Succeeds if the command succeeded in at least one browser
+  async runTabCommandInAllBrowsers(context, command, data) {
+    const results = await this.extensionServer.sendToAllExtensions(command, data, this.keyRequestOptions(context));
+    if (results.some(({ error }) => error && error.code === Protocol.ERROR_CODES.CANCELLED)) {
+      log(`${command}: superseded by a newer press`, 'DEBUG');
+      return;
+    }
+    const succeeded = results.filter(({ response }) => response && response.result && response.result.success);
+
+    for (const { browser, response, error } of results) {
+      const outcome = error ? error.message : (response.result?.success ? 'ok' : response.result?.error);
+      log(`${command} in ${this.extensionServer.describeBrowser(browser)}: ${outcome}`, 'DEBUG');
+    }
+
+    if (succeeded.length > 0) {
+      log(`${command} succeeded in ${succeeded.length} of ${results.length} browser(s)`, 'SUCCESS');
+      this.showOk(context);
+    } else {
+      log(`${command} failed in all ${results.length} browser(s)`, 'ERROR');
+      this.showAlert(context);
+    }
+  }
+
+  // Returns the extension's result, or null if the switch failed
+  async switchToURL(url, context, options = {}) {
+    const { browser, ...matchOptions } = options;
+    try {
+      const target = await this.resolveBrowser(url, options);
+      const response = await this.extensionServer.sendToExtension('switchToURL', { url, ...matchOptions },
+        this.keyRequestOptions(context, target));
+      
+      if (response.result && response.result.success) {
+        log(`Switched to URL: ${url} - ${this.describeSwitchResult(response.result)}`, 'SUCCESS');
+        this.showOk(context);
+        return response.result;
+      } else {
+        log(`Failed to switch: ${response.result?.error || 'Unknown error'}`, 'ERROR');
+        this.showAlert(context);
+      }
+    } catch (error) {
+      this.reportKeyFailure(context, 'Failed to switch URL', error);
+    }
+    return null;
+  }
+
+  // First press behaves like switchToURL. While the focused tab is one of the
+  // matches, each further press moves to the next match, wrapping around.
+  async cycleToURL(url, context, options = {}) {
+    const { browser, ...matchOptions } = options;
+    let response;
+    let target;
+    try {
+      target = await this.resolveBrowser(url, options);
+      response = await this.extensionServer.sendToExtension('findTabs', { url, ...matchOptions },
+        this.keyRequestOptions(context, target));
+    } catch (error) {
+      this.reportKeyFailure(context, 'Failed to find tabs', error);
+      return;
+    }
+
+    const tabs = response.tabs || [];
+    const state = this.cycleState.get(context);
+    // Without focus information, continue from the tab this key last landed on
+    const currentId = response.focusedTabId != null ? response.focusedTabId : state?.lastTabId;
+    const currentIndex = tabs.findIndex(tab => tab.id === currentId);
+
+    if (currentIndex === -1) {
+      const result = await this.switchToURL(url, context, target ? { ...matchOptions, browser: target } : options);
+      if (result && result.tab) {
+        this.cycleState.set(context, { lastTabId: result.tab.id });
+      } else {
+        this.cycleState.delete(context);
+      }
+      return;
+    }
+
+    const nextIndex = (currentIndex + 1) % tabs.length;
+    const next = tabs[nextIndex];
+    try {
+      const activated = await this.extensionServer.sendToExtension('activateTab', {
+        tabId: next.id,
+        windowId: next.windowId
+      }, this.keyRequestOptions(context, target));
+      if (!activated.result || !activated.result.success) {
+        throw new Error(activated.result?.error || 'Unknown error');
+      }
+      this.cycleState.set(context, { lastTabId: next.id });
+      log(`Cycled to tab ${next.id} (${nextIndex + 1} of ${tabs.length}): ${next.url}`, 'SUCCESS');
+      this.showOk(context);
+    } catch (error) {
+      this.reportKeyFailure(context, 'Failed to cycle tabs', error);
+    }
+  }
+
+  // Focus or open every URL of a workspace key. With closeOnSecondPress, the
+  // press after one that opened the workspace closes it again.
+  async toggleWorkspace(context, settings) {
+    const urls = (settings.urls || []).map(url => url.trim()).filter(Boolean);
+    if (urls.length === 0) {
+      log('No URLs configured for this workspace', 'WARN');
+      this.showAlert(context);
+      return;
+    }
+
+    const closing = !!settings.closeOnSecondPress && this.openWorkspaces.has(context);
+    const command = closing ? 'closeWorkspace' : 'openWorkspace';
+    const data = closing ? { urls } : {
+      urls,
+      layout: settings.workspaceLayout || 'window',
+      groupName: settings.groupName || undefined,
+      groupColor: settings.groupColor || undefined
+    };
+
+    let result;
+    try {
+      const response = await this.extensionServer.sendToExtension(command, data,
+        this.keyRequestOptions(context, settings.browser || undefined));
+      result = response.result || {};
+    } catch (error) {
+      this.reportKeyFailure(context, `${command} failed`, error);
+      return;
+    }
+
+    const results = result.results || [];
+    for (const { url, success, action, error } of results) {
+      log(`${command} ${url}: ${success ? action : error}`, success ? 'DEBUG' : 'ERROR');
+    }
+    if (closing) {
+      this.openWorkspaces.delete(context);
+    } else {
+      this.openWorkspaces.add(context);
+    }
+
+    if (result.success) {
+      log(`${command} succeeded for ${urls.length} URL(s)`, 'SUCCESS');
+      this.showOk(context);
+    } else {
+      const failed = results.filter(({ success }) => !success).length;
+      log(`${command}: ${result.error || `${failed} of ${urls.length} URL(s) failed`}`, 'ERROR');
+      this.showAlert(context);
+    }
+  }
+
+  // Capture every window and tab of the browser into the key's snapshot file
+  async saveSnapshot(context, settings) {
+    const name = settings.snapshotName || DEFAULT_SNAPSHOT_NAME;
+    try {
+      const response = await this.extensionServer.sendToExtension('captureSession', {},
+        this.keyRequestOptions(context, settings.browser || undefined));
+      const snapshot = await this.getSnapshotStore().save(name, response.windows || []);
+      const tabs = snapshot.windows.reduce((count, window) => count + window.tabs.length, 0);
+      log(`Saved snapshot "${name}": ${snapshot.windows.length} window(s), ${tabs} tab(s)`, 'SUCCESS');
+      this.showOk(context);
+    } catch (error) {
+      this.reportKeyFailure(context, `Failed to save snapshot "${name}"`, error);
+    }
+  }
+
+  // Reopen the key's snapshot; the extension skips tabs that are already open
+  async restoreSnapshot(context, settings) {
+    const name = settings.snapshotName || DEFAULT_SNAPSHOT_NAME;
+    let result;
+    try {
+      const snapshot = await this.getSnapshotStore().load(name);
+      const response = await this.extensionServer.sendToExtension('restoreSession', { windows: snapshot.windows },
+        this.keyRequestOptions(context, settings.browser || undefined));
+      result = response.result || {};
+    } catch (error) {
+      this.reportKeyFailure(context, `Failed to restore snapshot "${name}"`, error);
+      return;
+    }
+
+    for (const { url, error } of result.failed || []) {
+      log(`Could not restore ${url}: ${error}`, 'ERROR');
+    }
+    const summary = `opened ${result.opened || 0} tab(s), skipped ${result.skipped || 0} already open`;
+    if (result.success) {
+      log(`Restored snapshot "${name}": ${summary}`, 'SUCCESS');
+      this.showOk(context);
+    } else {
+      log(`Restored snapshot "${name}" partially: ${summary}, ${(result.failed || []).length} failed`, 'ERROR');
+      this.showAlert(context);
+    }
+  }
+
+  // Rewrite the focused tab's URL with the first matching rule and switch to
+  // the result, reusing a tab that is already open on the other environment
+  async switchEnvironment(context, settings) {
+    const options = { ...this.getMatchOptions(settings), placement: this.getPlacement(settings) };
+    let response;
+    try {
+      response = await this.extensionServer.sendToExtension('getTabs', {},
+        this.keyRequestOptions(context, options.browser));
+    } catch (error) {
+      this.reportKeyFailure(context, 'Failed to read the active tab', error);
+      return;
+    }
+
+    const tab = findFocusedTab(response.tabs || []);
+    if (!tab) {
+      log('No active tab to switch environment from', 'WARN');
+      this.showAlert(context);
+      return;
+    }
+    const rewritten = rewriteURL(tab.url, this.getRewriteRules());
+    if (!rewritten) {
+      log(`No rewrite rule matches ${tab.url}`, 'WARN');
+      this.showAlert(context);
+      return;
+    }
+
+    log(`Switching environment: ${tab.url} -> ${rewritten.url} (rule ${rewritten.rule + 1})`);
+    this.switchToURL(rewritten.url, context, options);
+  }
+
+  // Explain which tab the extension picked and why, for the log
+  describeSwitchResult(result) {
+    if (result.action !== 'activated' || !result.score) {
+      return result.action || 'done';
+    }
+    const { kind, sharedSegments, lastUsed } = result.score;
+    const lastUsedText = lastUsed
+      ? `last used ${Math.round((Date.now() - lastUsed) / 1000)}s ago`
+      : 'never activated';
+    return `activated tab ${result.tab?.id} (${kind} match, ${sharedSegments} shared segment(s), ` +
+      `${lastUsedText}; best of ${result.candidates} candidate(s))`;
+  }
+
+  onWillAppear(context, payload, action, device) {
+    this.actionSettings.set(context, payload.settings || {});
+    this.activeContexts.add(context);
+    this.contextActions.set(context, action);
+    if (action === FINDER_ACTION_UUID) {
+      this.finders.set(context, { tabs: [], index: 0, loaded: false });
+    }
+    if (action === BOARD_ACTION_UUID) {
+      this.addBoardKey(context, device, payload.coordinates);
+    }
+    this.buttonStates.set(context, payload.state);
+    log(`Action appeared: ${context.substring(0, 8)}...`);
+    
+    // Update button with current connection state
+    this.updateButtonState(context, this.extensionServer.isConnected());
+    this.updateButtonImage(context);
+  }
+
+  onWillDisappear(context) {
+    this.actionSettings.delete(context);
+    this.activeContexts.delete(context);
+    this.contextActions.delete(context);
+    this.buttonStates.delete(context);
+    this.buttonImages.delete(context);
+    this.cycleState.delete(context);
+    this.openWorkspaces.delete(context);
+    this.finders.delete(context);
+    this.removeBoardKey(context);
+    this.pressIds.delete(context);
+    this.gestures.cancel(context);
+    this.commandQueue.cancel(context);
+    this.pendingContexts.delete(context);
+    if (this.keyCommands.has(context)) {
+      this.keyCommands.get(context).abort();
+      this.keyCommands.delete(context);
+    }
+  }
+
+  onDidReceiveSettings(context, payload) {
+    this.actionSettings.set(context, payload.settings || {});
+    // Update button display with new settings
+    this.updateButtonState(context, this.extensionServer.isConnected());
+    this.updateButtonImage(context);
+  }
+
+  onDidReceiveGlobalSettings(payload) {
+    this.globalSettings = payload.settings || {};
+    
+    if (!this.globalSettings.pairingSecret) {
+      this.regeneratePairingSecret();
+    }
+    this.commandQueue.ttl = this.getQueueTimeout() * 1000;
+    setLogLevel(this.getLogLevel());
+    this.extensionServer.setSecret(this.globalSettings.pairingSecret);
+    
+    // Start the WebSocket server for Chrome extension (moves it if the port changed)
+    this.extensionServer.start(this.globalSettings.port || Protocol.DEFAULT_PORT);
+    this.startControlServer();
+  }
+  
+  // New secret for pairing the browser extension; connected browsers must pair again
+  regeneratePairingSecret() {
+    this.globalSettings.pairingSecret = crypto.randomBytes(16).toString('hex');
+    log('Generated a new pairing secret', 'WARN');
+    this.saveGlobalSettings();
+    this.extensionServer.setSecret(this.globalSettings.pairingSecret);
+  }
+  
+  // Port the extension server prefers; empty or invalid restores the default
+  async setPort(port) {
+    const value = parseInt(port, 10);
+    if (Protocol.isValidPort(value) && value !== Protocol.DEFAULT_PORT) {
+      this.globalSettings.port = value;
+    } else {
+      delete this.globalSettings.port;
+    }
+    log(`Extension server port set to ${this.globalSettings.port || Protocol.DEFAULT_PORT}`);
+    this.saveGlobalSettings();
+    await this.extensionServer.start(this.globalSettings.port || Protocol.DEFAULT_PORT);
+  }
+  
+  // Port of the HTTP API; 0 turns it off
+  getAPIPort() {
+    const port = this.globalSettings.apiPort;
+    return port === 0 || Protocol.isValidPort(port) ? port : Protocol.DEFAULT_API_PORT;
+  }
+  
+  // Empty or invalid restores the default port
+  async setAPIPort(value) {
+    const port = parseInt(value, 10);
+    if (port === 0 || (Protocol.isValidPort(port) && port !== Protocol.DEFAULT_API_PORT)) {
+      this.globalSettings.apiPort = port;
+    } else {
+      delete this.globalSettings.apiPort;
+    }
+    log(`HTTP API port set to ${this.getAPIPort() || 'off'}`);
+    this.saveGlobalSettings();
+    await this.startControlServer();
+  }
+  
+  // Ordered { from, to } rules for Switch Environment keys
+  getRewriteRules() {
+    return this.globalSettings.rewriteRules || [];
+  }
+  
+  // Returns an error message, or null once the rules are saved
+  setRewriteRules(rules) {
+    try {
+      this.globalSettings.rewriteRules = validateRules(rules);
+    } catch (error) {
+      return error.message;
+    }
+    log(`Rewrite rules set: ${this.globalSettings.rewriteRules.length} rule(s)`);
+    this.saveGlobalSettings();
+    return null;
+  }
+  
+  // Folder holding snapshot files; the plugin's own snapshots folder by default
+  getSnapshotStore() {
+    return new SnapshotStore(this.globalSettings.snapshotDir || path.join(this.dataDir, 'snapshots'));
+  }
+  
+  // Returns an error message, or null once saved. Empty restores the default.
+  setSnapshotDir(dir) {
+    const value = String(dir || '').trim();
+    if (value && !path.isAbsolute(value)) {
+      return 'Snapshot folder must be an absolute path';
+    }
+    if (value) {
+      this.globalSettings.snapshotDir = value;
+    } else {
+      delete this.globalSettings.snapshotDir;
+    }
+    log(`Snapshot folder set to ${this.getSnapshotStore().dir}`);
+    this.saveGlobalSettings();
+    return null;
+  }
+  
+  async deleteSnapshot(context, name) {
+    let error = null;
+    try {
+      await this.getSnapshotStore().delete(name);
+      log(`Deleted snapshot "${name}"`);
+    } catch (deleteError) {
+      error = deleteError.message;
+    }
+    this.sendSnapshotsToPropertyInspector(context, error);
+  }
+  
+  // Snapshot list for the property inspector, with an error if it can't be read
+  async sendSnapshotsToPropertyInspector(context, error = null) {
+    const store = this.getSnapshotStore();
+    let snapshots = [];
+    try {
+      snapshots = await store.list();
+    } catch (listError) {
+      error = error || `Cannot read ${store.dir}: ${listError.message}`;
+    }
+    this.send({
+      event: 'sendToPropertyInspector',
+      context: context,
+      payload: {
+        snapshots,
+        snapshotDir: this.globalSettings.snapshotDir || '',
+        snapshotDirPath: store.dir,
+        snapshotError: error
+      }
+    });
+  }
+  
+  // Seconds a press waits for a browser to connect; 0 fails at once
+  getQueueTimeout() {
+    const seconds = this.globalSettings.queueTimeout;
+    return Number.isInteger(seconds) && seconds >= 0 ? seconds : QUEUE_TTL_MS / 1000;
+  }
+  
+  setQueueTimeout(value) {
+    const seconds = parseInt(value, 10);
+    if (Number.isInteger(seconds) && seconds >= 0) {
+      this.globalSettings.queueTimeout = Math.min(seconds, 300);
+    } else {
+      delete this.globalSettings.queueTimeout;
+    }
+    this.commandQueue.ttl = this.getQueueTimeout() * 1000;
+    log(`Offline queue timeout set to ${this.getQueueTimeout()}s`);
+    this.saveGlobalSettings();
+  }
+  
+  getLogLevel() {
+    return this.globalSettings.logLevel || DEFAULT_LOG_LEVEL;
+  }
+  
+  // Takes effect right away; an unknown level restores the default
+  setLogLevel(value) {
+    const level = setLogLevel(value);
+    if (level === DEFAULT_LOG_LEVEL) {
+      delete this.globalSettings.logLevel;
+    } else {
+      this.globalSettings.logLevel = level;
+    }
+    log(`Log level set to ${level}`);
+    this.saveGlobalSettings();
+  }
+  
+  // The latest log entries at level or above, for the log viewer
+  sendLogsToPropertyInspector(context, level) {
+    this.send({
+      event: 'sendToPropertyInspector',
+      context: context,
+      payload: { logs: getRecentLogs(LOG_VIEWER_ENTRIES, level) }
+    });
+  }
+  
+  saveGlobalSettings() {
+    this.send({
+      event: 'setGlobalSettings',
+      context: this.pluginUUID,
+      payload: this.globalSettings
+    });
+  }
+
+  // Connection status, browsers and pairing secret for the property inspector
+  sendStatusToPropertyInspector(context) {
+    this.send({
+      event: 'sendToPropertyInspector',
+      context: context,
+      payload: {
+        extensionConnected: this.extensionServer.isConnected(),
+        connectionError: this.extensionServer.lastProtocolError,
+        browsers: this.extensionServer.listBrowsers(),
+        pairingSecret: this.globalSettings.pairingSecret || '',
+        port: this.globalSettings.port || Protocol.DEFAULT_PORT,
+        listeningPort: this.extensionServer.port,
+        queueTimeout: this.getQueueTimeout(),
+        variables: this.getVariablesText(),
+        rewriteRules: this.getRewriteRules(),
+        apiPort: this.getAPIPort(),
+        apiListening: !!this.controlServer.server,
+        apiError: this.apiError,
+        logLevel: this.getLogLevel(),
+        serverError: this.extensionServer.bindError
+      }
+    });
+  }
+
+  onPropertyInspectorConnected(context) {
+    log(`Property inspector connected, extension status: ${this.extensionServer.isConnected()}`);
+    this.sendStatusToPropertyInspector(context);
+  }
+
+  onSendToPlugin(context, payload) {
+    if (payload.action === 'checkConnection') {
+      this.sendStatusToPropertyInspector(context);
+    } else if (payload.action === 'regeneratePairingSecret') {
+      this.regeneratePairingSecret();
+      this.sendStatusToPropertyInspector(context);
+    } else if (payload.action === 'setQueueTimeout') {
+      this.setQueueTimeout(payload.queueTimeout);
+      this.sendStatusToPropertyInspector(context);
+    } else if (payload.action === 'setPort') {
+      this.setPort(payload.port).then(() => this.sendStatusToPropertyInspector(context));
+    } else if (payload.action === 'setAPIPort') {
+      this.setAPIPort(payload.apiPort).then(() => this.sendStatusToPropertyInspector(context));
+    } else if (payload.action === 'setVariables') {
+      const error = this.setVariables(payload.variables);
+      this.send({
+        event: 'sendToPropertyInspector',
+        context: context,
+        payload: { variablesError: error }
+      });
+    } else if (payload.action === 'setRewriteRules') {
+      const error = this.setRewriteRules(payload.rules);
+      this.send({
+        event: 'sendToPropertyInspector',
+        context: context,
+        payload: { rewriteRulesError: error }
+      });
+    } else if (payload.action === 'listSnapshots') {
+      this.sendSnapshotsToPropertyInspector(context);
+    } else if (payload.action === 'deleteSnapshot') {
+      this.deleteSnapshot(context, payload.name);
+    } else if (payload.action === 'setSnapshotDir') {
+      this.sendSnapshotsToPropertyInspector(context, this.setSnapshotDir(payload.snapshotDir));
+    } else if (payload.action === 'previewURL') {
+      this.previewURL(context, payload.url, payload.browser);
+    } else if (payload.action === 'setLogLevel') {
+      this.setLogLevel(payload.logLevel);
+      this.sendStatusToPropertyInspector(context);
+    } else if (payload.action === 'getLogs') {
+      this.sendLogsToPropertyInspector(context, payload.level);
+    }
+  }
+
+  // ============================================================
+  // HTTP Control API
+  // ============================================================
+
+  async startControlServer() {
+    const port = this.getAPIPort();
+    if (port === 0) {
+      this.controlServer.stop();
+      this.apiError = '';
+      return;
+    }
+    try {
+      await this.controlServer.start(port);
+      this.apiError = '';
+      log(`HTTP API listening on ${API_HOST}:${port}`, 'SUCCESS');
+    } catch (error) {
+      this.apiError = `Could not listen on port ${port} (${error.code || error.message}). Choose another API port.`;
+      log('Failed to start HTTP API: ' + this.apiError, 'ERROR');
+    }
+  }
+  
+  // A request from the HTTP API, answered with the extension's response.
+  // It goes to the browser a key with the same settings would use: the one
+  // data.browser names, else the best match for data.url, else the default.
+  async handleAPIRequest(action, data) {
+    if (action === 'browsers') {
+      return { browsers: this.extensionServer.listBrowsers() };
+    }
+    if (!Protocol.isKnownRequest(action)) {
+      throw new Protocol.ProtocolError(Protocol.ERROR_CODES.UNKNOWN_ACTION, 'Unknown action: ' + action);
+    }
+    const { browser, ...fields } = data;
+    log(`HTTP API: ${action} ${JSON.stringify(fields)}`);
+    
+    // Without a browser, list the tabs of all of them, like the Tab Board does
+    if (action === 'getTabs' && !browser) {
+      return { tabs: await this.getTabsOfAllBrowsers() };
+    }
+    
+    const target = typeof fields.url === 'string'
+      ? await this.resolveBrowser(fields.url, {
+        browser,
+        matchMode: fields.matchMode,
+        matchPattern: fields.matchPattern,
+        incognito: fields.incognito
+      })
+      : browser;
+    const { id, ...response } = await this.extensionServer.sendToExtension(action, fields, { browser: target });
+    return response;
+  }
+  
+  // Tabs of every connected browser, each tagged with its browser's instance ID.
+  // Throws the first error if no browser answered.
+  async getTabsOfAllBrowsers() {
+    if (!this.extensionServer.isConnected()) {
+      throw new Protocol.ProtocolError(Protocol.ERROR_CODES.NOT_CONNECTED, 'Chrome extension not connected');
+    }
+    const results = await this.extensionServer.sendToAllExtensions('getTabs');
+    const answered = results.filter(({ response }) => response);
+    if (answered.length === 0) {
+      throw results[0].error;
+    }
+    return answered.flatMap(({ browser, response }) =>
+      (response.tabs || []).map(tab => ({ ...tab, browser: browser.instanceId }))
+    );
+  }
+
+  // ============================================================
+  // StreamDeck Helpers
+  // ============================================================
+
+  showOk(context) {
+    this.send({
+      event: 'showOk',
+      context: context
+    });
+  }
+
+  showAlert(context) {
+    this.send({
+      event: 'showAlert',
+      context: context
+    });
+  }
+
+  setTitle(context, title) {
+    this.send({
+      event: 'setTitle',
+      context: context,
+      payload: {
+        title: title
+      }
+    });
+  }
+  
+  setState(context, state) {
+    this.send({
+      event: 'setState',
+      context: context,
+      payload: {
+        state: state
+      }
+    });
+  }
+  
+  // Omit image to restore the manifest image; omit state to set all states
+  setImage(context, image, state) {
+    this.send({
+      event: 'setImage',
+      context: context,
+      payload: {
+        image: image,
+        state: state
+      }
+    });
+  }
+  
+  // Values for the items of a dial's touch strip layout, by item key
+  setFeedback(context, feedback) {
+    this.send({
+      event: 'setFeedback',
+      context: context,
+      payload: feedback
     });
   }
 }
@@ -439,51 +1720,57 @@ class URLSwitcherPlugin {
 // Entry Point
 // ============================================================
 
-const plugin = new URLSwitcherPlugin();
-
-// Log all command line arguments for debugging
-log('Raw argv: ' + JSON.stringify(process.argv));
-
-// Parse StreamDeck connection arguments
-const args = process.argv.slice(2);
-log('Parsed args: ' + JSON.stringify(args));
-
-let port, pluginUUID, registerEvent, info;
-
-for (let i = 0; i < args.length; i++) {
-  const arg = args[i];
-  log(`Processing arg[${i}]: ${arg}`);
-  
-  switch (arg) {
-    case '-port':
-      port = args[++i];
-      log(`Found port: ${port}`);
-      break;
-    case '-pluginUUID':
-      pluginUUID = args[++i];
-      log(`Found pluginUUID: ${pluginUUID}`);
-      break;
-    case '-registerEvent':
-      registerEvent = args[++i];
-      log(`Found registerEvent: ${registerEvent}`);
-      break;
-    case '-info':
-      info = args[++i];
-      log(`Found info: ${info ? 'present' : 'missing'}`);
-      break;
+// Stream Deck starts the plugin with -port, -pluginUUID, -registerEvent and -info
+function parseArgs(args) {
+  const params = {};
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '-port':
+        params.port = args[++i];
+        break;
+      case '-pluginUUID':
+        params.pluginUUID = args[++i];
+        break;
+      case '-registerEvent':
+        params.registerEvent = args[++i];
+        break;
+      case '-info':
+        params.info = args[++i];
+        break;
+    }
   }
+  return params;
 }
 
-log(`Connection params - port: ${port}, uuid: ${pluginUUID}, event: ${registerEvent}, info: ${!!info}`);
+function main() {
+  openLogFile(path.join(__dirname, 'plugin.log'));
+  process.on('exit', flushLogs);
+  log('Plugin script loaded');
+
+  // Log all command line arguments for debugging
+  log('Raw argv: ' + JSON.stringify(process.argv));
+
+  const { port, pluginUUID, registerEvent, info } = parseArgs(process.argv.slice(2));
+  log(`Connection params - port: ${port}, uuid: ${pluginUUID}, event: ${registerEvent}, info: ${!!info}`);
+
+  if (!(port && pluginUUID && registerEvent && info)) {
+    log('Missing required StreamDeck connection arguments', 'ERROR');
+    log(`  port: ${port || 'MISSING'}`);
+    log(`  pluginUUID: ${pluginUUID || 'MISSING'}`);
+    log(`  registerEvent: ${registerEvent || 'MISSING'}`);
+    log(`  info: ${info ? 'present' : 'MISSING'}`);
+    // The extension server only starts once Stream Deck sends the global
+    // settings, so there is nothing to run without it
+    process.exit(1);
+  }
 
-if (port && pluginUUID && registerEvent && info) {
+  const plugin = new URLSwitcherPlugin();
   plugin.connectToStreamDeck(port, pluginUUID, registerEvent, info);
-} else {
-  log('Missing required StreamDeck connection arguments', 'ERROR');
-  log(`  port: ${port || 'MISSING'}`);
-  log(`  pluginUUID: ${pluginUUID || 'MISSING'}`);
-  log(`  registerEvent: ${registerEvent || 'MISSING'}`);
-  log(`  info: ${info ? 'present' : 'MISSING'}`);
-  // Don't exit - allow WebSocket server to run anyway for manual testing
-  // process.exit(1);
 }
+
+// Started by Stream Deck; tests require() the module and drive the plugin themselves
+if (require.main === module) {
+  main();
+}
+
+module.exports = { URLSwitcherPlugin, parseArgs };
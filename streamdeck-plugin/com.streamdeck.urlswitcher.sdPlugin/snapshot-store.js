@@ -0,0 +1,137 @@
+// Session snapshots for StreamDeck URL Switcher
+// Each snapshot is one <name>.json file of browser windows and tabs, in the
+// format described under "Snapshot Files" in README.md, so a folder of them
+// can be kept in a repository.
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_FORMAT = 'urlswitcher-snapshot';
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_NAME_PATTERN = /^[\w][\w .-]{0,63}$/;
+
+class SnapshotError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SnapshotError';
+  }
+}
+
+function isValidSnapshotName(name) {
+  return typeof name === 'string' && SNAPSHOT_NAME_PATTERN.test(name) && !name.endsWith('.');
+}
+
+// Throws SnapshotError unless data is a snapshot this version can restore
+function validateSnapshot(data) {
+  if (!data || data.format !== SNAPSHOT_FORMAT) {
+    throw new SnapshotError('Not a URL Switcher snapshot');
+  }
+  if (!Number.isInteger(data.version) || data.version > SNAPSHOT_VERSION) {
+    throw new SnapshotError(`Snapshot version ${data.version} is newer than this plugin supports`);
+  }
+  if (!Array.isArray(data.windows)) {
+    throw new SnapshotError('Snapshot has no windows list');
+  }
+  data.windows.forEach((window, index) => {
+    if (!window || !Array.isArray(window.tabs)) {
+      throw new SnapshotError(`Window ${index + 1} has no tabs list`);
+    }
+    if (!window.tabs.every(tab => tab && typeof tab.url === 'string' && tab.url)) {
+      throw new SnapshotError(`Window ${index + 1} has a tab without a URL`);
+    }
+  });
+  return data;
+}
+
+class SnapshotStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  fileFor(name) {
+    if (!isValidSnapshotName(name)) {
+      throw new SnapshotError(`Invalid snapshot name "${name}": use letters, digits, spaces, - . and _`);
+    }
+    return path.join(this.dir, name + '.json');
+  }
+
+  // [{ name, createdAt, windows, tabs }] sorted by name; unreadable files carry an error
+  async list() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const snapshots = [];
+    for (const file of files.filter(file => file.endsWith('.json')).sort()) {
+      const name = file.slice(0, -'.json'.length);
+      try {
+        const snapshot = await this.load(name);
+        snapshots.push({
+          name,
+          createdAt: snapshot.createdAt || null,
+          windows: snapshot.windows.length,
+          tabs: snapshot.windows.reduce((count, window) => count + window.tabs.length, 0)
+        });
+      } catch (error) {
+        snapshots.push({ name, error: error.message });
+      }
+    }
+    return snapshots;
+  }
+
+  async load(name) {
+    let text;
+    try {
+      text = await fs.promises.readFile(this.fileFor(name), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new SnapshotError(`No snapshot named "${name}"`);
+      throw error;
+    }
+    try {
+      return validateSnapshot(JSON.parse(text));
+    } catch (error) {
+      throw new SnapshotError(`Snapshot "${name}" is invalid: ${error.message}`);
+    }
+  }
+
+  // Writes windows as snapshot name, replacing any snapshot of that name
+  async save(name, windows) {
+    const snapshot = validateSnapshot({
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      name,
+      createdAt: new Date().toISOString(),
+      windows
+    });
+    const file = this.fileFor(name);
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    // Pretty-printed so snapshots diff well in version control; written to a
+    // temporary file first so readers never see half a snapshot
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temporary, JSON.stringify(snapshot, null, 2) + '\n');
+    await fs.promises.rename(temporary, file);
+    return snapshot;
+  }
+
+  async delete(name) {
+    try {
+      await fs.promises.unlink(this.fileFor(name));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new SnapshotError(`No snapshot named "${name}"`);
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  SnapshotStore,
+  SnapshotError,
+  SNAPSHOT_FORMAT,
+  SNAPSHOT_VERSION,
+  isValidSnapshotName,
+  validateSnapshot
+};
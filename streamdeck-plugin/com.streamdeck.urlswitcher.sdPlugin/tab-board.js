@@ -0,0 +1,51 @@
+// Layout helpers for the Tab Board of StreamDeck URL Switcher
+// A board is every Tab Board key on one device: tab keys show the open tabs in
+// reading order, one page at a time, and control keys turn the page or pick a window.
+
+// Sort comparator for two numbers, either of which may be missing (last)
+function compareOptional(a, b) {
+  const hasA = Number.isFinite(a);
+  const hasB = Number.isFinite(b);
+  if (!hasA || !hasB) return hasA ? -1 : (hasB ? 1 : 0);
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+// Contexts of keys in reading order, row by row and left to right.
+// keys: [[context, { row, column }]]; keys without a position go last, in
+// the order given, so a refresh always assigns tabs to the same keys.
+function orderSlots(keys) {
+  const row = (coordinates) => coordinates ? coordinates.row : undefined;
+  const column = (coordinates) => coordinates ? coordinates.column : undefined;
+  return [...keys]
+    .sort(([, a], [, b]) => compareOptional(row(a), row(b)) || compareOptional(column(a), column(b)))
+    .map(([context]) => context);
+}
+
+// Pages needed to show count tabs on size keys; always at least one
+function pageCount(count, size) {
+  return size > 0 ? Math.max(1, Math.ceil(count / size)) : 1;
+}
+
+// Identifies a window across browsers
+function windowKey(tab) {
+  return `${tab.browser}:${tab.windowId}`;
+}
+
+// Distinct windows of the tabs, in tab order
+function listWindows(tabs) {
+  return [...new Set(tabs.map(windowKey))];
+}
+
+// Window filter after current: each window in turn, then all windows (null)
+function nextWindow(windows, current) {
+  const index = windows.indexOf(current);
+  return index + 1 < windows.length ? windows[index + 1] : null;
+}
+
+// 'Pull requests · GitHub' -> 'Pull reque…'
+function shortTitle(text, length = 10) {
+  const title = String(text || '').trim();
+  return title.length > length ? title.substring(0, length) + '…' : title;
+}
+
+module.exports = { orderSlots, pageCount, windowKey, listWindows, nextWindow, shortTitle };
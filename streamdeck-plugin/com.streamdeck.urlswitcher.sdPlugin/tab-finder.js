@@ -0,0 +1,40 @@
+// Tab list for the Tab Finder dial of StreamDeck URL Switcher
+// Pure functions; the plugin fetches the tabs and draws the touch strip.
+
+// Tabs whose title or URL contains every word of the filter, ignoring case.
+// An empty filter keeps every tab.
+function filterTabs(tabs, filter) {
+  const words = String(filter || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return tabs;
+  return tabs.filter((tab) => {
+    const text = `${tab.title || ''} ${tab.url || ''}`.toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+}
+
+// index moved by ticks (negative = back) through count entries, wrapping around
+function stepIndex(index, ticks, count) {
+  if (count === 0) return 0;
+  return (((index + ticks) % count) + count) % count;
+}
+
+// Where the selection goes after the list changed: the same tab (same browser
+// and tab id) if it is still listed, else the old position within the new list
+function findSelection(tabs, selected, index) {
+  if (selected) {
+    const found = tabs.findIndex(tab => tab.id === selected.id && tab.browser === selected.browser);
+    if (found !== -1) return found;
+  }
+  return Math.max(0, Math.min(index, tabs.length - 1));
+}
+
+// 'https://www.github.com/x' -> 'github.com'
+function getTabHost(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+module.exports = { filterTabs, stepIndex, findSelection, getTabHost };
@@ -0,0 +1,115 @@
+// URL rewrite rules for StreamDeck URL Switcher
+// A rule moves a URL to another environment of the same site by replacing
+// its start: { from: 'localhost:3000', to: 'https://staging.app.com' } turns
+// http://localhost:3000/x?y=1 into https://staging.app.com/x?y=1.
+//
+// from and to are [protocol://]host[:port][/path]. from matches the whole host
+// and whole path segments, and the protocol only if it names one; to keeps the
+// original protocol unless it names one. A port is kept as typed, even a
+// default one: from app.com:80 matches http://app.com but not https://app.com.
+// Rules are tried in order and the first match wins, so a -> b, b -> c, c -> a
+// cycles through three environments.
+
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443', 'ws:': '80', 'wss:': '443', 'ftp:': '21' };
+
+class RewriteRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RewriteRuleError';
+  }
+}
+
+// 'https://app.com:8443/api/' -> { protocol: 'https:', hostname: 'app.com', port: '8443', path: '/api' }
+function parseEndpoint(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) {
+    throw new RewriteRuleError('Host is empty');
+  }
+  const hasProtocol = /^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed);
+
+  let url;
+  try {
+    url = new URL(hasProtocol ? trimmed : 'http://' + trimmed);
+  } catch {
+    throw new RewriteRuleError(`"${trimmed}" is not a host or URL`);
+  }
+  if (url.search || url.hash) {
+    throw new RewriteRuleError(`"${trimmed}" must not have a query or #hash`);
+  }
+  // URL drops a default port (app.com:80 -> app.com), so read the typed one
+  const authority = trimmed.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '').split('/')[0];
+  const port = /:(\d+)$/.exec(authority);
+  return {
+    protocol: hasProtocol ? url.protocol : null,
+    hostname: url.hostname,
+    port: port ? String(Number(port[1])) : '',
+    path: url.pathname.replace(/\/+$/, '')
+  };
+}
+
+// Trimmed copies of the rules. Throws RewriteRuleError naming the first bad rule.
+function validateRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new RewriteRuleError('Rules must be a list');
+  }
+  return rules.map((rule, index) => {
+    const from = String(rule && rule.from || '').trim();
+    const to = String(rule && rule.to || '').trim();
+    try {
+      parseEndpoint(from);
+      parseEndpoint(to);
+    } catch (error) {
+      throw new RewriteRuleError(`Rule ${index + 1}: ${error.message}`);
+    }
+    return { from, to };
+  });
+}
+
+// The port a URL connects to, default or not
+function portOf(url) {
+  return url.port || DEFAULT_PORTS[url.protocol] || '';
+}
+
+function matchesEndpoint(url, endpoint) {
+  if (endpoint.protocol && url.protocol !== endpoint.protocol) return false;
+  if (url.hostname !== endpoint.hostname) return false;
+  // Without a port, from matches only the protocol's default one
+  if (endpoint.port ? portOf(url) !== endpoint.port : url.port) return false;
+  return !endpoint.path ||
+    url.pathname === endpoint.path ||
+    url.pathname.startsWith(endpoint.path + '/');
+}
+
+// First rule matching the URL applied to it: { url, rule: index }, or null.
+// Rules that don't parse are skipped.
+function rewriteURL(url, rules) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+
+  for (let index = 0; index < rules.length; index++) {
+    let from;
+    let to;
+    try {
+      from = parseEndpoint(rules[index].from);
+      to = parseEndpoint(rules[index].to);
+    } catch {
+      continue;
+    }
+    if (!matchesEndpoint(parsed, from)) continue;
+
+    const protocol = to.protocol || parsed.protocol;
+    const port = to.port && to.port !== DEFAULT_PORTS[protocol] ? ':' + to.port : '';
+    const rest = parsed.pathname.slice(from.path.length) + parsed.search + parsed.hash;
+    return {
+      url: `${protocol}//${to.hostname}${port}${to.path}${rest}`,
+      rule: index
+    };
+  }
+  return null;
+}
+
+module.exports = { RewriteRuleError, parseEndpoint, validateRules, rewriteURL };
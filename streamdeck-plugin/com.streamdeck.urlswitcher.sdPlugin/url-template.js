@@ -0,0 +1,196 @@
+// URL templates for StreamDeck URL Switcher
+// Expands placeholders in a key's URL when the key is pressed:
+//
+//   {name}              global variable, URL-encoded ({name:raw} inserts it as is)
+//   {clipboard}         clipboard text, trimmed and URL-encoded ({clipboard:raw} as is)
+//   {date:YYYY-MM-DD}   current date/time; tokens YYYY MM DD HH mm ss ({date} = YYYY-MM-DD)
+//   {tab.url} {tab.origin} {tab.protocol} {tab.host} {tab.hostname} {tab.port}
+//   {tab.path} (path + query + hash) {tab.pathname} {tab.search} {tab.hash}
+//                       parts of the active tab's URL
+//   {{ and }}           literal braces
+//
+// Only these are placeholders, and {name} only for a defined variable. Any
+// other braces are kept as they are, so URLs with literal braces in their
+// query or fragment still work, and a URL without placeholders is not a
+// template at all.
+//
+// Pure functions only; the caller supplies variables, clipboard and active tab values.
+
+const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+
+// Parts of the active tab's URL available as {tab.<part>}
+const TAB_PARTS = {
+  url: (url) => url.href,
+  origin: (url) => url.origin,
+  protocol: (url) => url.protocol.replace(/:$/, ''),
+  host: (url) => url.host,
+  hostname: (url) => url.hostname,
+  port: (url) => url.port,
+  path: (url) => url.pathname + url.search + url.hash,
+  pathname: (url) => url.pathname,
+  search: (url) => url.search,
+  hash: (url) => url.hash
+};
+
+class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+const hasOwn = (object, name) => Object.prototype.hasOwnProperty.call(object, name);
+
+// Whether {name} is a placeholder: a built-in one or a defined variable
+function isPlaceholderName(name, variables) {
+  if (name === 'clipboard' || name === 'date') return true;
+  if (name.startsWith('tab.')) return hasOwn(TAB_PARTS, name.slice(4));
+  return /^[A-Za-z_][\w-]*$/.test(name) && hasOwn(variables, name);
+}
+
+// 'a{b:c}d' -> [{ type: 'text', value: 'a' }, { type: 'placeholder', name: 'b', arg: 'c' }, { type: 'text', value: 'd' }]
+// with variable b defined; braces around anything else are text
+function parseTemplate(template, variables = {}) {
+  const tokens = [];
+  let text = '';
+  let i = 0;
+
+  while (i < template.length) {
+    const char = template[i];
+    if ((char === '{' || char === '}') && template[i + 1] === char) {
+      text += char;
+      i += 2;
+      continue;
+    }
+
+    const end = char === '{' ? template.indexOf('}', i) : -1;
+    const body = end === -1 ? '' : template.slice(i + 1, end).trim();
+    const colon = body.indexOf(':');
+    const name = colon === -1 ? body : body.slice(0, colon).trim();
+    if (end === -1 || !isPlaceholderName(name, variables)) {
+      text += char;
+      i++;
+      continue;
+    }
+
+    if (text) tokens.push({ type: 'text', value: text });
+    text = '';
+    tokens.push({ type: 'placeholder', name, arg: colon === -1 ? null : body.slice(colon + 1) });
+    i = end + 1;
+  }
+
+  if (text) tokens.push({ type: 'text', value: text });
+  return tokens;
+}
+
+// A URL without placeholders is used exactly as written, braces and all
+function isTemplate(template, variables = {}) {
+  return parseTemplate(template || '', variables).some(token => token.type === 'placeholder');
+}
+
+// What a template needs from outside: { clipboard, activeTab, variables: [names] }
+function getTemplateNeeds(template, variables = {}) {
+  const needs = { clipboard: false, activeTab: false, variables: [] };
+  for (const token of parseTemplate(template, variables)) {
+    if (token.type !== 'placeholder') continue;
+    if (token.name === 'clipboard') needs.clipboard = true;
+    else if (token.name.startsWith('tab.')) needs.activeTab = true;
+    else if (token.name !== 'date') needs.variables.push(token.name);
+  }
+  return needs;
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+function formatDate(date, format) {
+  const values = {
+    YYYY: pad(date.getFullYear(), 4),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds())
+  };
+  return format.replace(/YYYY|MM|DD|HH|mm|ss/g, token => values[token]);
+}
+
+// Only 'raw' is a valid argument for values that are URL-encoded by default
+function encodeValue(value, arg, name) {
+  if (arg === null) return encodeURIComponent(value);
+  if (arg.trim() === 'raw') return value;
+  throw new TemplateError(`Unknown option "${arg}" for {${name}}`);
+}
+
+// context: {
+//   variables: { name: value },   global variables
+//   clipboard: string,            needed if the template uses {clipboard}
+//   activeTabURL: string,         needed if it uses {tab.*}
+//   now: Date                     defaults to the current time
+// }
+// Throws TemplateError when a placeholder can't be filled.
+function expandTemplate(template, context = {}) {
+  const variables = context.variables || {};
+  const now = context.now || new Date();
+  let activeTab = null;
+
+  return parseTemplate(template, variables).map((token) => {
+    if (token.type === 'text') return token.value;
+    const { name, arg } = token;
+
+    if (name === 'date') {
+      return formatDate(now, arg === null ? DEFAULT_DATE_FORMAT : arg);
+    }
+
+    if (name === 'clipboard') {
+      const clipboard = (context.clipboard || '').trim();
+      if (!clipboard) throw new TemplateError('The clipboard is empty');
+      return encodeValue(clipboard, arg, name);
+    }
+
+    if (name.startsWith('tab.')) {
+      const part = TAB_PARTS[name.slice(4)];
+      if (!activeTab) {
+        try {
+          activeTab = new URL(context.activeTabURL);
+        } catch {
+          throw new TemplateError('No active tab with a URL');
+        }
+      }
+      return part(activeTab);
+    }
+
+    return encodeValue(String(variables[name]), arg, name);
+  }).join('');
+}
+
+// "name=value" lines -> { name: value }; blank lines and lines starting with # are skipped
+function parseVariables(text) {
+  const variables = {};
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    const equals = trimmed.indexOf('=');
+    if (equals <= 0) {
+      throw new TemplateError(`Expected name=value: "${trimmed}"`);
+    }
+    const name = trimmed.slice(0, equals).trim();
+    if (!/^[A-Za-z_][\w-]*$/.test(name) || name === 'clipboard' || name === 'date') {
+      throw new TemplateError(`Invalid variable name "${name}"`);
+    }
+    variables[name] = trimmed.slice(equals + 1).trim();
+  }
+  return variables;
+}
+
+module.exports = {
+  TemplateError,
+  TAB_PARTS,
+  parseTemplate,
+  isTemplate,
+  getTemplateNeeds,
+  formatDate,
+  expandTemplate,
+  parseVariables
+};
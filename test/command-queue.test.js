@@ -0,0 +1,131 @@
+// Unit tests for the offline command queue, against a mock socket and fake timers
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { PLUGIN_DIR } = require('./fakes/fake-stream-deck');
+const { CommandQueue } = require(path.join(PLUGIN_DIR, 'command-queue'));
+
+const TTL = 1000; // ms
+const MAX_SIZE = 3;
+
+// Stands in for the browser connection: commands can only be sent while open
+class MockSocket {
+  constructor() {
+    this.open = false;
+    this.sent = [];
+    this.onSend = null; // Called with each command after it is sent
+  }
+
+  send(command) {
+    if (!this.open) throw new Error('Socket closed');
+    this.sent.push(command);
+    if (this.onSend) this.onSend(command);
+    return `${command} done`;
+  }
+}
+
+let socket;
+let queue;
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  socket = new MockSocket();
+  queue = new CommandQueue(() => socket.open, { maxSize: MAX_SIZE, ttl: TTL });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+// Queue a command for key that sends name once it runs
+const enqueue = (key, name) => queue.enqueue(key, async () => socket.send(name));
+
+test('commands wait while disconnected and flush in order after reconnect', async () => {
+  const results = [enqueue('key-1', 'a'), enqueue('key-2', 'b'), enqueue('key-1', 'c')];
+  await queue.flush();
+  assert.deepEqual(socket.sent, []);
+  assert.equal(queue.size, 3);
+
+  socket.open = true;
+  await queue.flush();
+
+  assert.deepEqual(socket.sent, ['a', 'b', 'c']);
+  assert.deepEqual(await Promise.all(results), ['a done', 'b done', 'c done']);
+  assert.equal(queue.size, 0);
+});
+
+test('a command not run within the TTL fails with EXPIRED', async () => {
+  const result = enqueue('key-1', 'a');
+
+  mock.timers.tick(TTL - 1);
+  assert.equal(queue.size, 1);
+  mock.timers.tick(1);
+
+  await assert.rejects(result, { code: 'EXPIRED' });
+  assert.equal(queue.size, 0);
+  socket.open = true;
+  await queue.flush();
+  assert.deepEqual(socket.sent, []);
+});
+
+test('the oldest command is dropped with QUEUE_FULL beyond the size limit', async () => {
+  const first = enqueue('key-1', 'a');
+  const rest = ['b', 'c', 'd'].map(name => enqueue('key-2', name));
+
+  await assert.rejects(first, { code: 'QUEUE_FULL' });
+  assert.equal(queue.size, MAX_SIZE);
+
+  socket.open = true;
+  await queue.flush();
+  assert.deepEqual(socket.sent, ['b', 'c', 'd']);
+  await Promise.all(rest);
+});
+
+test('cancelling a key (willDisappear) drops only its commands with CANCELLED', async () => {
+  const gone = [enqueue('key-1', 'a'), enqueue('key-1', 'b')];
+  const kept = enqueue('key-2', 'c');
+
+  queue.cancel('key-1');
+
+  for (const result of gone) {
+    await assert.rejects(result, { code: 'CANCELLED' });
+  }
+  socket.open = true;
+  await queue.flush();
+  assert.deepEqual(socket.sent, ['c']);
+  assert.equal(await kept, 'c done');
+
+  // Cancelled commands no longer expire
+  mock.timers.tick(TTL);
+});
+
+test('commands left when the browser drops mid-flush stay queued', async () => {
+  const results = [enqueue('key-1', 'a'), enqueue('key-1', 'b'), enqueue('key-1', 'c')];
+  socket.onSend = (command) => {
+    if (command === 'b') socket.open = false;
+  };
+
+  socket.open = true;
+  await queue.flush();
+
+  assert.deepEqual(socket.sent, ['a', 'b']);
+  assert.equal(queue.size, 1);
+  assert.deepEqual(await Promise.all(results.slice(0, 2)), ['a done', 'b done']);
+
+  socket.open = true;
+  await queue.flush();
+  assert.deepEqual(socket.sent, ['a', 'b', 'c']);
+  assert.equal(await results[2], 'c done');
+});
+
+test('a command that fails while flushing rejects without stopping the rest', async () => {
+  const failing = queue.enqueue('key-1', async () => { throw new Error('No matching tab'); });
+  const next = enqueue('key-2', 'b');
+
+  socket.open = true;
+  await queue.flush();
+
+  await assert.rejects(failing, /No matching tab/);
+  assert.equal(await next, 'b done');
+});
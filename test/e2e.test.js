@@ -0,0 +1,301 @@
+// End-to-end tests: key presses on a fake Stream Deck, through the plugin and
+// the extension, against a fake Chrome. Run with `npm test`.
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const vm = require('vm');
+const { PLUGIN_DIR, WebSocket } = require('./fakes/fake-stream-deck');
+const { getRecentLogs } = require(path.join(PLUGIN_DIR, 'log'));
+const { startTestBed, loadExtension, waitUntil } = require('./harness');
+
+let bed;
+
+beforeEach(async () => {
+  bed = await startTestBed();
+});
+
+afterEach(async () => {
+  await bed.stop();
+});
+
+const activeURL = () => (bed.chrome.getActiveTab() || {}).url;
+
+test('Switch to URL activates the matching tab', async () => {
+  bed.chrome.addWindow(['https://github.com/', 'https://news.ycombinator.com/', 'https://example.com/docs']);
+  const key = bed.deck.addKey('switch', { url: 'example.com/docs' });
+
+  const result = bed.deck.waitForResult(key);
+  bed.deck.press(key);
+
+  assert.equal(await result, 'showOk');
+  assert.equal(activeURL(), 'https://example.com/docs');
+});
+
+test('Switch to URL focuses the window holding the tab', async () => {
+  const first = bed.chrome.addWindow(['https://github.com/', 'https://example.com/']);
+  bed.chrome.addWindow(['https://news.ycombinator.com/']);
+  const key = bed.deck.addKey('switch', { url: 'https://example.com' });
+
+  bed.deck.press(key);
+
+  await waitUntil(() => bed.chrome.focusedWindowId === first, { message: 'the first window to get focus' });
+  assert.equal(activeURL(), 'https://example.com/');
+});
+
+test('Switch to URL opens a tab when none matches', async () => {
+  bed.chrome.addWindow(['https://github.com/']);
+  const key = bed.deck.addKey('switch', { url: 'https://example.com/new' });
+
+  const result = bed.deck.waitForResult(key);
+  bed.deck.press(key);
+
+  assert.equal(await result, 'showOk');
+  assert.equal(activeURL(), 'https://example.com/new');
+  assert.equal(bed.chrome.getTabs().length, 2);
+});
+
+test('match modes decide which tab is activated', async () => {
+  bed.chrome.addWindow(['https://github.com/', 'https://github.com/org/repo/pulls', 'https://gitlab.com/']);
+  const exact = bed.deck.addKey('switch', { url: 'https://github.com/org', matchMode: 'exact' });
+  const prefix = bed.deck.addKey('switch', { url: 'https://github.com/org', matchMode: 'prefix' });
+
+  let result = bed.deck.waitForResult(prefix);
+  bed.deck.press(prefix);
+  await result;
+  assert.equal(activeURL(), 'https://github.com/org/repo/pulls');
+
+  // Nothing is exactly github.com/org, so the exact key opens it
+  result = bed.deck.waitForResult(exact);
+  bed.deck.press(exact);
+  await result;
+  assert.equal(activeURL(), 'https://github.com/org');
+  assert.equal(bed.chrome.getTabs().length, 4);
+});
+
+test('key state follows the tab: not open, open, focused', async () => {
+  const key = bed.deck.addKey('switch', { url: 'example.com' });
+  await waitUntil(() => bed.deck.lastState(key) === 0, { message: 'state 0 (not open)' });
+
+  bed.chrome.addWindow(['https://github.com/', 'https://example.com/']);
+  await waitUntil(() => bed.deck.lastState(key) === 1, { message: 'state 1 (open)' });
+
+  const [, example] = bed.chrome.getTabs();
+  bed.chrome.activate(example.id);
+  await waitUntil(() => bed.deck.lastState(key) === 2, { message: 'state 2 (focused)' });
+});
+
+test('cycling steps through the matching tabs in order and wraps around', async () => {
+  bed.chrome.addWindow(['https://github.com/', 'https://example.com/a', 'https://example.com/b', 'https://example.com/c']);
+  const key = bed.deck.addKey('switch', { url: 'example.com', cycle: true });
+
+  const visited = [];
+  for (let press = 0; press < 5; press++) {
+    const result = bed.deck.waitForResult(key);
+    bed.deck.press(key);
+    assert.equal(await result, 'showOk');
+    visited.push(activeURL());
+  }
+
+  assert.deepEqual(visited, [
+    'https://example.com/a',
+    'https://example.com/b',
+    'https://example.com/c',
+    'https://example.com/a',
+    'https://example.com/b'
+  ]);
+});
+
+test('a key without a favicon still shows its state in every state image', async () => {
+  const key = bed.deck.addKey('switch', { url: 'example.com', iconSource: 'default' });
+
+  const images = await waitUntil(() => {
+    const sent = bed.deck.messages.filter(m => m.event === 'setImage' && m.context === key);
+    return sent.length >= 3 && sent;
+  }, { message: 'the key images' });
+  assert.deepEqual(images.map(m => m.payload.state), [0, 1, 2]);
+  assert.equal(new Set(images.map(m => m.payload.image)).size, 3, 'each state looks different');
+});
+
+test('Close Tab closes every matching tab', async () => {
+  bed.chrome.addWindow(['https://github.com/', 'https://example.com/a', 'https://example.com/b']);
+  const key = bed.deck.addKey('close', { url: 'example.com', matchMode: 'domain' });
+
+  const result = bed.deck.waitForResult(key);
+  bed.deck.press(key);
+
+  assert.equal(await result, 'showOk');
+  assert.deepEqual(bed.chrome.getTabs().map(tab => tab.url), ['https://github.com/']);
+});
+
+test('a key with no matching tab to close shows an alert', async () => {
+  bed.chrome.addWindow(['https://github.com/']);
+  const key = bed.deck.addKey('close', { url: 'example.com' });
+
+  const result = bed.deck.waitForResult(key);
+  bed.deck.press(key);
+
+  assert.equal(await result, 'showAlert');
+  assert.equal(bed.chrome.getTabs().length, 1);
+});
+
+test('Duplicate Tab opens a copy next to the matching tab', async () => {
+  bed.chrome.addWindow(['https://github.com/', 'https://example.com/', 'https://news.ycombinator.com/']);
+  const key = bed.deck.addKey('duplicate', { url: 'example.com' });
+
+  const result = bed.deck.waitForResult(key);
+  bed.deck.press(key);
+
+  assert.equal(await result, 'showOk');
+  assert.deepEqual(bed.chrome.getTabs().map(tab => tab.url),
+    ['https://github.com/', 'https://example.com/', 'https://example.com/', 'https://news.ycombinator.com/']);
+  assert.equal(bed.chrome.getActiveTab().index, 2);
+});
+
+test('Tab Board keys show the open tabs and switch to them', async () => {
+  bed.chrome.addWindow(['https://github.com/', 'https://example.com/', 'https://news.ycombinator.com/']);
+  const keys = [0, 1, 2, 3].map(column => bed.deck.addKey('board', {}, { column }));
+
+  // The fourth key has no tab and stays blank
+  await waitUntil(() => keys.slice(0, 3).every(key =>
+    bed.deck.messages.some(m => m.event === 'setTitle' && m.context === key && m.payload.title)),
+  { message: 'titles on the board keys' });
+
+  bed.deck.press(keys[2]);
+  await waitUntil(() => activeURL() === 'https://news.ycombinator.com/', { message: 'the third tab to be active' });
+});
+
+test('a press while no browser is connected runs once it reconnects', async () => {
+  bed.chrome.addWindow(['https://github.com/', 'https://example.com/']);
+  const key = bed.deck.addKey('switch', { url: 'example.com' });
+  bed.extension.unload();
+  await waitUntil(() => !bed.plugin.extensionServer.isConnected(), { message: 'the browser to disconnect' });
+
+  const result = bed.deck.waitForResult(key);
+  bed.deck.press(key);
+  await waitUntil(() => bed.plugin.commandQueue.size === 1, { message: 'the press to be queued' });
+
+  bed.extension = loadExtension(bed.chrome.api);
+
+  assert.equal(await result, 'showOk');
+  assert.equal(activeURL(), 'https://example.com/');
+});
+
+test('another connection cannot settle requests sent to the paired browser', async () => {
+  bed.chrome.addWindow(['https://github.com/']);
+  const server = bed.plugin.extensionServer;
+
+  // Hold the paired browser's answer until the other connection has spoken
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  const { query } = bed.chrome.api.tabs;
+  bed.chrome.api.tabs.query = async (...args) => { await held; return query(...args); };
+
+  const before = new Set(server.pendingRequests.keys());
+  const request = server.sendToExtension('getTabs', {}, { retries: 0 });
+  const id = await waitUntil(() => [...server.pendingRequests.keys()].find(other => !before.has(other)),
+    { message: 'the request to be sent' });
+
+  const intruder = new WebSocket(`ws://127.0.0.1:${server.port}`, { origin: 'chrome-extension://intruder' });
+  await new Promise(resolve => intruder.once('message', resolve)); // The challenge
+  intruder.send(JSON.stringify({ id, error: 'x' }));
+  intruder.send(JSON.stringify({ id, tabs: [] }));
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.ok(server.pendingRequests.has(id), 'the request is still waiting for the paired browser');
+
+  release();
+  const response = await request;
+  assert.deepEqual(response.tabs.map(tab => tab.url), ['https://github.com/']);
+  intruder.close();
+});
+
+test('requests to a browser that reconnects fail at once instead of timing out', async () => {
+  bed.chrome.addWindow(['https://github.com/']);
+  const server = bed.plugin.extensionServer;
+
+  // The old worker never answers
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  const { query } = bed.chrome.api.tabs;
+  bed.chrome.api.tabs.query = async (...args) => { await held; return query(...args); };
+  const request = server.sendToExtension('getTabs', {}, { retries: 0 });
+  request.catch(() => {});
+
+  // A new worker of the same extension instance replaces the old connection
+  const previous = bed.extension;
+  const [oldSocket] = server.browsers.keys();
+  bed.extension = loadExtension(bed.chrome.api);
+  try {
+    await waitUntil(() => !server.browsers.has(oldSocket), { message: 'the old connection to be replaced' });
+    await assert.rejects(
+      Promise.race([request, new Promise(resolve => setTimeout(resolve, 1000, 'still waiting'))]),
+      { code: 'NOT_CONNECTED' }
+    );
+  } finally {
+    previous.unload();
+    release();
+  }
+});
+
+test('the extension logs at the level saved from its popup', async () => {
+  const level = () => vm.runInContext('logger.level', bed.extension.context);
+  assert.equal(level(), 'info');
+
+  assert.equal((await bed.chrome.sendMessage({ action: 'setLogLevel', level: 'debug' })).logLevel, 'debug');
+  assert.equal(level(), 'debug');
+  assert.equal((await bed.chrome.sendMessage({ action: 'getStatus' })).logLevel, 'debug');
+
+  // Read back from storage when the extension starts again
+  bed.extension.unload();
+  bed.extension = loadExtension(bed.chrome.api);
+  await waitUntil(() => level() === 'debug', { message: 'the saved level to be applied' });
+
+  assert.equal((await bed.chrome.sendMessage({ action: 'setLogLevel', level: 'loud' })).logLevel, 'info');
+  assert.equal((await bed.chrome.api.storage.local.get('logLevel')).logLevel, 'info');
+});
+
+test('a request cancelled while waiting to retry is not sent again', async () => {
+  const server = bed.plugin.extensionServer;
+  const { socket } = server.getBrowsers()[0];
+  const sent = [];
+  const send = socket.send.bind(socket);
+  socket.send = (text, ...rest) => {
+    sent.push(JSON.parse(text).action);
+    return send(text, ...rest);
+  };
+
+  // The browser never answers, so the first attempt times out
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  const { query } = bed.chrome.api.tabs;
+  bed.chrome.api.tabs.query = async (...args) => { await held; return query(...args); };
+
+  const controller = new AbortController();
+  const request = server.sendToExtension('getTabs', {}, { timeout: 50, retries: 2, signal: controller.signal });
+  // Cancel during the backoff after the timeout (RETRY_BASE_DELAY, 250ms)
+  setTimeout(() => controller.abort(), 150);
+
+  const started = Date.now();
+  await assert.rejects(request, { code: 'CANCELLED' });
+  assert.ok(Date.now() - started < 250, 'rejected as soon as it was cancelled');
+  await new Promise(resolve => setTimeout(resolve, 400));
+  assert.equal(sent.filter(action => action === 'getTabs').length, 1);
+  release();
+});
+
+test('the plugin and the extension log a press under one correlation id', async () => {
+  bed.chrome.addWindow(['https://github.com/', 'https://example.com/']);
+  const key = bed.deck.addKey('switch', { url: 'example.com' });
+
+  const result = bed.deck.waitForResult(key);
+  bed.deck.press(key);
+  await result;
+
+  const cid = bed.plugin.pressIds.get(key);
+  const pluginEntries = getRecentLogs().filter(entry => entry.cid === cid);
+  assert.ok(pluginEntries.some(entry => entry.message === 'Request completed'));
+
+  const extensionEntries = vm.runInContext('logger.getRecent()', bed.extension.context)
+    .filter(entry => entry.cid === cid);
+  assert.ok(extensionEntries.length > 0, 'the extension logs the press id it was sent');
+});
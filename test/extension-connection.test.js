@@ -0,0 +1,92 @@
+// End-to-end tests of how the extension finds and pairs with the plugin,
+// against stand-in WebSocket servers instead of the real plugin
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { FakeChrome } = require('./fakes/fake-chrome');
+const { WebSocket } = require('./fakes/fake-stream-deck');
+const { loadExtension, waitUntil, getFreePort } = require('./harness');
+
+let servers = [];
+let extension = null;
+
+afterEach(async () => {
+  if (extension) extension.unload();
+  extension = null;
+  await Promise.all(servers.map(server => new Promise(resolve => {
+    for (const client of server.clients) client.terminate();
+    server.close(resolve);
+  })));
+  servers = [];
+});
+
+// A WebSocket server on port; onConnection(socket) decides how it behaves.
+// Resolves with { server, connections } where connections counts accepted sockets.
+function startServer(port, onConnection = () => {}) {
+  return new Promise((resolve) => {
+    const server = new WebSocket.Server({ host: '127.0.0.1', port }, () => resolve(stats));
+    const stats = { server, connections: 0 };
+    server.on('connection', (socket) => {
+      stats.connections++;
+      onConnection(socket);
+    });
+    servers.push(server);
+  });
+}
+
+// Two ports in a row that are both free right now
+async function getFreePortPair() {
+  for (let attempt = 0; ; attempt++) {
+    const port = await getFreePort();
+    const next = await new Promise((resolve) => {
+      const probe = net.createServer();
+      probe.once('error', () => resolve(false));
+      probe.listen(port + 1, '127.0.0.1', () => probe.close(() => resolve(true)));
+    });
+    if (next || attempt >= 10) return port;
+  }
+}
+
+function startExtension(port) {
+  const chrome = new FakeChrome({ storage: { pairingSecret: 'secret', configuredPort: port } });
+  extension = loadExtension(chrome.api);
+  return chrome;
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a plugin too old for the extension is refused once, not retried', async () => {
+  const port = await getFreePort();
+  const plugin = await startServer(port, (socket) => {
+    socket.send(JSON.stringify({ action: 'challenge', nonce: 'abc', protocolVersion: 1 }));
+  });
+  const chrome = startExtension(port);
+
+  const status = await waitUntil(async () => {
+    const current = await chrome.sendMessage({ action: 'getStatus' });
+    return current.authState === 'incompatible' && current;
+  }, { message: 'the popup to report the version mismatch' });
+  assert.match(status.authError, /Protocol version 1 is not supported/);
+
+  // Reconnects would start within RECONNECT_BASE_DELAY
+  await delay(1500);
+  assert.equal(plugin.connections, 1);
+  assert.equal([...plugin.server.clients].filter(client => client.readyState === WebSocket.OPEN).length, 0);
+});
+
+test('a server that never sends a challenge is skipped for the next port', async () => {
+  const port = await getFreePortPair();
+  const silent = await startServer(port);
+  const answers = [];
+  const plugin = await startServer(port + 1, (socket) => {
+    socket.on('message', data => answers.push(JSON.parse(data.toString())));
+    socket.send(JSON.stringify({ action: 'challenge', nonce: 'abc', protocolVersion: 2 }));
+  });
+  startExtension(port);
+
+  await waitUntil(() => answers.some(message => message.action === 'authenticate'),
+    { timeout: 8000, message: 'the challenge on the second port to be answered' });
+  assert.equal(silent.connections, 1);
+  assert.equal(plugin.connections, 1);
+});
@@ -0,0 +1,446 @@
+// In-memory stand-in for the chrome.* APIs background.js uses
+// Windows and tabs live in plain objects; calls change them the way Chrome
+// would and fire the matching events. Tests arrange a session with
+// addWindow() and read the outcome with getTabs() / getActiveTab().
+
+const WINDOW_ID_NONE = -1;
+const TAB_GROUP_ID_NONE = -1;
+
+class FakeEvent {
+  constructor() {
+    this.listeners = [];
+  }
+
+  addListener(listener) {
+    this.listeners.push(listener);
+  }
+
+  removeListener(listener) {
+    this.listeners = this.listeners.filter(existing => existing !== listener);
+  }
+
+  hasListener(listener) {
+    return this.listeners.includes(listener);
+  }
+
+  dispatch(...args) {
+    for (const listener of this.listeners) {
+      listener(...args);
+    }
+  }
+}
+
+// chrome.storage.local / chrome.storage.session
+class FakeStorageArea {
+  constructor(items = {}) {
+    this.items = { ...items };
+  }
+
+  async get(keys) {
+    if (keys === null || keys === undefined) return { ...this.items };
+    if (typeof keys === 'object' && !Array.isArray(keys)) {
+      const result = { ...keys };
+      for (const key of Object.keys(keys)) {
+        if (key in this.items) result[key] = this.items[key];
+      }
+      return result;
+    }
+    const result = {};
+    for (const key of [].concat(keys)) {
+      if (key in this.items) result[key] = this.items[key];
+    }
+    return result;
+  }
+
+  async set(items) {
+    Object.assign(this.items, structuredClone(items));
+  }
+
+  async remove(keys) {
+    for (const key of [].concat(keys)) {
+      delete this.items[key];
+    }
+  }
+}
+
+class FakeChrome {
+  // storage: initial chrome.storage.local items, e.g. { pairingSecret }
+  // incognitoAccess: whether "Allow in Incognito" is on
+  constructor({ storage = {}, incognitoAccess = false } = {}) {
+    this.windows = new Map();   // id -> window fields (without tabs)
+    this.tabs = new Map();      // id -> tab fields
+    this.groups = new Map();    // id -> tab group fields
+    this.focusedWindowId = WINDOW_ID_NONE;
+    this.nextId = 1;
+    this.clock = 1;             // Stands in for lastAccessed times
+    this.alarms = new Map();
+    this.incognitoAccess = incognitoAccess;
+
+    this.events = {
+      tabActivated: new FakeEvent(),
+      tabCreated: new FakeEvent(),
+      tabRemoved: new FakeEvent(),
+      tabUpdated: new FakeEvent(),
+      windowFocusChanged: new FakeEvent(),
+      alarm: new FakeEvent(),
+      message: new FakeEvent()
+    };
+    this.api = this.createAPI(new FakeStorageArea(storage), new FakeStorageArea());
+  }
+
+  // ============================================================
+  // Arranging and inspecting the session
+  // ============================================================
+
+  // Open a window with one tab per URL (or { url, title, pinned, ... });
+  // the first tab is active. Returns the window id.
+  addWindow(tabs = [], { focused = true, incognito = false, type = 'normal', ...bounds } = {}) {
+    const window = this.createWindow({ incognito, type, ...bounds });
+    tabs.forEach((tab, index) => {
+      const fields = typeof tab === 'string' ? { url: tab } : tab;
+      this.createTab({ windowId: window.id, active: index === 0, ...fields });
+    });
+    if (focused) this.focusWindow(window.id);
+    return window.id;
+  }
+
+  // Every tab in window and tab strip order
+  getTabs() {
+    return [...this.tabs.values()]
+      .sort((a, b) => (a.windowId - b.windowId) || (a.index - b.index))
+      .map(tab => ({ ...tab, mutedInfo: { ...tab.mutedInfo } }));
+  }
+
+  // Active tab of the focused window, or null
+  getActiveTab() {
+    return this.getTabs().find(tab => tab.active && tab.windowId === this.focusedWindowId) || null;
+  }
+
+  // Simulate the user clicking a tab
+  activate(tabId) {
+    const tab = this.requireTab(tabId);
+    this.activateTab(tab);
+    this.focusWindow(tab.windowId);
+  }
+
+  // ============================================================
+  // Model
+  // ============================================================
+
+  createWindow({ incognito = false, type = 'normal', state = 'normal', left = 0, top = 0, width = 1200, height = 800 } = {}) {
+    const window = { id: this.nextId++, focused: false, incognito, type, state, left, top, width, height, alwaysOnTop: false };
+    this.windows.set(window.id, window);
+    return window;
+  }
+
+  createTab({ windowId, url = 'chrome://newtab/', title, active = true, index, pinned = false, muted = false, favIconUrl = '' }) {
+    const window = this.requireWindow(windowId);
+    const siblings = this.tabsOf(windowId);
+    const position = index === undefined || index < 0 || index > siblings.length ? siblings.length : index;
+    const tab = {
+      id: this.nextId++,
+      windowId,
+      index: position,
+      url,
+      title: title || url,
+      active: false,
+      pinned,
+      audible: false,
+      mutedInfo: { muted },
+      favIconUrl,
+      incognito: window.incognito,
+      groupId: TAB_GROUP_ID_NONE,
+      status: 'complete',
+      lastAccessed: 0
+    };
+    for (const sibling of siblings) {
+      if (sibling.index >= position) sibling.index++;
+    }
+    this.tabs.set(tab.id, tab);
+    this.events.tabCreated.dispatch({ ...tab });
+    if (active || siblings.length === 0) this.activateTab(tab);
+    return tab;
+  }
+
+  tabsOf(windowId) {
+    return [...this.tabs.values()]
+      .filter(tab => tab.windowId === windowId)
+      .sort((a, b) => a.index - b.index);
+  }
+
+  reindex(windowId) {
+    this.tabsOf(windowId).forEach((tab, index) => { tab.index = index; });
+  }
+
+  activateTab(tab) {
+    for (const sibling of this.tabsOf(tab.windowId)) {
+      sibling.active = sibling === tab;
+    }
+    tab.lastAccessed = this.clock++;
+    this.events.tabActivated.dispatch({ tabId: tab.id, windowId: tab.windowId });
+  }
+
+  focusWindow(windowId) {
+    if (this.focusedWindowId === windowId) return;
+    for (const window of this.windows.values()) {
+      window.focused = window.id === windowId;
+    }
+    this.focusedWindowId = windowId;
+    this.events.windowFocusChanged.dispatch(windowId);
+  }
+
+  removeTab(tab, isWindowClosing = false) {
+    this.tabs.delete(tab.id);
+    this.reindex(tab.windowId);
+    this.events.tabRemoved.dispatch(tab.id, { windowId: tab.windowId, isWindowClosing });
+
+    const rest = this.tabsOf(tab.windowId);
+    if (rest.length === 0 && !isWindowClosing) {
+      this.removeWindow(tab.windowId);
+    } else if (tab.active && rest.length > 0) {
+      this.activateTab(rest[Math.min(tab.index, rest.length - 1)]);
+    }
+  }
+
+  removeWindow(windowId) {
+    for (const tab of this.tabsOf(windowId)) {
+      this.removeTab(tab, true);
+    }
+    this.windows.delete(windowId);
+    if (this.focusedWindowId === windowId) {
+      const next = [...this.windows.keys()].pop();
+      this.focusWindow(next === undefined ? WINDOW_ID_NONE : next);
+    }
+  }
+
+  moveTab(tab, windowId, index) {
+    const from = tab.windowId;
+    const wasActive = tab.active;
+    tab.windowId = windowId;
+    tab.incognito = this.requireWindow(windowId).incognito;
+    tab.active = false;
+    tab.index = Infinity;
+    this.reindex(from);
+    const siblings = this.tabsOf(windowId).filter(other => other !== tab);
+    const position = index < 0 || index > siblings.length ? siblings.length : index;
+    siblings.splice(position, 0, tab);
+    siblings.forEach((other, i) => { other.index = i; });
+
+    const rest = this.tabsOf(from);
+    if (rest.length === 0) {
+      this.removeWindow(from);
+    } else if (wasActive) {
+      this.activateTab(rest[0]);
+    }
+    if (siblings.length === 1) this.activateTab(tab);
+  }
+
+  requireTab(tabId) {
+    const tab = this.tabs.get(tabId);
+    if (!tab) throw new Error(`No tab with id: ${tabId}.`);
+    return tab;
+  }
+
+  requireWindow(windowId) {
+    const window = this.windows.get(windowId);
+    if (!window) throw new Error(`No window with id: ${windowId}.`);
+    return window;
+  }
+
+  describeWindow(window, populate) {
+    const result = { ...window };
+    if (populate) {
+      result.tabs = this.tabsOf(window.id).map(tab => ({ ...tab, mutedInfo: { ...tab.mutedInfo } }));
+    }
+    return result;
+  }
+
+  // ============================================================
+  // chrome.* API
+  // ============================================================
+
+  createAPI(local, session) {
+    const copy = (tab) => ({ ...tab, mutedInfo: { ...tab.mutedInfo } });
+    const windowFilter = ({ windowTypes } = {}) => (window) => !windowTypes || windowTypes.includes(window.type);
+
+    const tabs = {
+      query: async (queryInfo = {}) => this.getTabs().filter((tab) => {
+        if (queryInfo.active !== undefined && tab.active !== queryInfo.active) return false;
+        if (queryInfo.pinned !== undefined && tab.pinned !== queryInfo.pinned) return false;
+        if (queryInfo.windowId !== undefined && tab.windowId !== queryInfo.windowId) return false;
+        if (queryInfo.groupId !== undefined && tab.groupId !== queryInfo.groupId) return false;
+        if ((queryInfo.lastFocusedWindow || queryInfo.currentWindow) && tab.windowId !== this.focusedWindowId) return false;
+        return true;
+      }),
+
+      get: async (tabId) => copy(this.requireTab(tabId)),
+
+      create: async ({ url, windowId, active = true, index, pinned } = {}) => {
+        const target = windowId !== undefined ? windowId : this.focusedWindowId;
+        const id = this.windows.has(target) ? target : this.createWindow().id;
+        const tab = this.createTab({ windowId: id, url, active, index, pinned });
+        return copy(tab);
+      },
+
+      update: async (tabId, properties = {}) => {
+        const tab = this.requireTab(tabId);
+        const changes = {};
+        if (properties.url !== undefined) {
+          tab.url = properties.url;
+          tab.title = properties.url;
+          changes.url = properties.url;
+        }
+        if (properties.pinned !== undefined) {
+          tab.pinned = properties.pinned;
+          changes.pinned = properties.pinned;
+        }
+        if (properties.muted !== undefined) {
+          tab.mutedInfo = { muted: properties.muted };
+          changes.mutedInfo = { muted: properties.muted };
+        }
+        if (Object.keys(changes).length > 0) {
+          this.events.tabUpdated.dispatch(tab.id, changes, copy(tab));
+        }
+        if (properties.active) this.activateTab(tab);
+        return copy(tab);
+      },
+
+      remove: async (tabIds) => {
+        for (const tabId of [].concat(tabIds)) {
+          this.removeTab(this.requireTab(tabId));
+        }
+      },
+
+      move: async (tabIds, { windowId, index = -1 }) => {
+        const moved = [];
+        for (const tabId of [].concat(tabIds)) {
+          const tab = this.requireTab(tabId);
+          this.moveTab(tab, windowId === undefined ? tab.windowId : windowId, index);
+          moved.push(copy(tab));
+        }
+        return Array.isArray(tabIds) ? moved : moved[0];
+      },
+
+      duplicate: async (tabId) => {
+        const tab = this.requireTab(tabId);
+        const copied = this.createTab({ windowId: tab.windowId, url: tab.url, title: tab.title, active: true, index: tab.index + 1, pinned: tab.pinned });
+        return copy(copied);
+      },
+
+      reload: async (tabId) => {
+        this.requireTab(tabId);
+      },
+
+      group: async ({ tabIds, groupId, createProperties = {} }) => {
+        let group = groupId !== undefined ? this.groups.get(groupId) : null;
+        if (!group) {
+          const first = this.requireTab([].concat(tabIds)[0]);
+          group = { id: this.nextId++, windowId: createProperties.windowId || first.windowId, title: '', color: 'grey', collapsed: false };
+          this.groups.set(group.id, group);
+        }
+        for (const tabId of [].concat(tabIds)) {
+          this.requireTab(tabId).groupId = group.id;
+        }
+        return group.id;
+      },
+
+      onActivated: this.events.tabActivated,
+      onCreated: this.events.tabCreated,
+      onRemoved: this.events.tabRemoved,
+      onUpdated: this.events.tabUpdated
+    };
+
+    const windows = {
+      WINDOW_ID_NONE,
+
+      get: async (windowId, options = {}) => this.describeWindow(this.requireWindow(windowId), options.populate),
+
+      getAll: async (options = {}) => [...this.windows.values()]
+        .filter(windowFilter(options))
+        .map(window => this.describeWindow(window, options.populate)),
+
+      getLastFocused: async (options = {}) => {
+        const window = this.windows.get(this.focusedWindowId) || [...this.windows.values()].filter(windowFilter(options)).pop();
+        if (!window) throw new Error('No last-focused window');
+        return this.describeWindow(window, options.populate);
+      },
+
+      create: async ({ url, tabId, focused = true, incognito = false, type = 'normal', state, left, top, width, height } = {}) => {
+        const window = this.createWindow({ incognito, type, left, top, width, height });
+        if (tabId !== undefined) {
+          this.moveTab(this.requireTab(tabId), window.id, -1);
+        } else {
+          const urls = url === undefined ? ['chrome://newtab/'] : [].concat(url);
+          urls.forEach((tabURL, index) => this.createTab({ windowId: window.id, url: tabURL, active: index === 0 }));
+        }
+        if (state) window.state = state;
+        if (focused) this.focusWindow(window.id);
+        return this.describeWindow(window, true);
+      },
+
+      update: async (windowId, properties = {}) => {
+        const window = this.requireWindow(windowId);
+        for (const field of ['left', 'top', 'width', 'height', 'state']) {
+          if (properties[field] !== undefined) window[field] = properties[field];
+        }
+        if (properties.focused) this.focusWindow(windowId);
+        return this.describeWindow(window);
+      },
+
+      remove: async (windowId) => {
+        this.requireWindow(windowId);
+        this.removeWindow(windowId);
+      },
+
+      onFocusChanged: this.events.windowFocusChanged
+    };
+
+    const tabGroups = {
+      query: async (queryInfo = {}) => [...this.groups.values()]
+        .filter(group => queryInfo.title === undefined || group.title === queryInfo.title)
+        .filter(group => queryInfo.windowId === undefined || group.windowId === queryInfo.windowId)
+        .map(group => ({ ...group })),
+
+      update: async (groupId, properties = {}) => {
+        const group = this.groups.get(groupId);
+        if (!group) throw new Error(`No group with id: ${groupId}.`);
+        Object.assign(group, properties);
+        return { ...group };
+      }
+    };
+
+    const alarms = {
+      create: (name, info) => { this.alarms.set(name, { name, ...info }); },
+      get: async (name) => this.alarms.get(name) || null,
+      clear: async (name) => this.alarms.delete(name),
+      onAlarm: this.events.alarm
+    };
+
+    return {
+      tabs,
+      windows,
+      tabGroups,
+      alarms,
+      storage: { local, session },
+      runtime: {
+        id: 'fakeextensionid',
+        getURL: (path) => `chrome-extension://fakeextensionid/${path.replace(/^\//, '')}`,
+        onMessage: this.events.message
+      },
+      extension: {
+        isAllowedIncognitoAccess: async () => this.incognitoAccess
+      }
+    };
+  }
+
+  // Send a popup message to the worker; resolves with its response
+  sendMessage(message) {
+    return new Promise((resolve) => {
+      for (const listener of this.events.message.listeners) {
+        if (listener(message, {}, resolve) !== true) resolve(undefined);
+      }
+    });
+  }
+}
+
+module.exports = { FakeChrome, FakeEvent, FakeStorageArea, WINDOW_ID_NONE };
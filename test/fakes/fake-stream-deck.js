@@ -0,0 +1,153 @@
+// Stand-in for the Stream Deck app: the WebSocket host a plugin registers with
+// Keeps global and per-key settings like the app does, sends key events and
+// records everything the plugin sends so tests can wait for it.
+
+const path = require('path');
+
+const PLUGIN_DIR = path.join(__dirname, '..', '..', 'streamdeck-plugin', 'com.streamdeck.urlswitcher.sdPlugin');
+const WebSocket = require(require.resolve('ws', { paths: [PLUGIN_DIR] }));
+
+const ACTION_PREFIX = 'com.streamdeck.urlswitcher.';
+const DEVICE = 'fake-device';
+const WAIT_TIMEOUT = 5000; // ms
+
+class FakeStreamDeck {
+  constructor({ globalSettings = {} } = {}) {
+    this.server = null;
+    this.socket = null;           // The plugin's connection
+    this.globalSettings = { ...globalSettings };
+    this.keys = new Map();        // context -> { action, settings, coordinates }
+    this.messages = [];           // Everything the plugin sent, oldest first
+    this.waiters = [];
+    this.nextKey = 0;
+  }
+
+  // Resolves with the port to pass to the plugin as -port
+  start() {
+    return new Promise((resolve) => {
+      this.server = new WebSocket.Server({ host: '127.0.0.1', port: 0 }, () => {
+        resolve(this.server.address().port);
+      });
+      this.server.on('connection', (socket) => {
+        this.socket = socket;
+        socket.on('message', data => this.onMessage(JSON.parse(data.toString())));
+      });
+    });
+  }
+
+  stop() {
+    if (this.socket) this.socket.close();
+    if (this.server) this.server.close();
+    this.socket = null;
+    this.server = null;
+  }
+
+  onMessage(message) {
+    switch (message.event) {
+      case 'getGlobalSettings':
+        this.send({ event: 'didReceiveGlobalSettings', payload: { settings: this.globalSettings } });
+        break;
+      case 'setGlobalSettings':
+        this.globalSettings = message.payload;
+        break;
+      case 'setSettings':
+        if (this.keys.has(message.context)) this.keys.get(message.context).settings = message.payload;
+        break;
+    }
+    this.messages.push(message);
+    for (const waiter of [...this.waiters]) {
+      if (waiter.predicate(message)) waiter.resolve(message);
+    }
+  }
+
+  send(message) {
+    this.socket.send(JSON.stringify(message));
+  }
+
+  // ============================================================
+  // Keys
+  // ============================================================
+
+  // Put a key on the deck. action is the part after the plugin's prefix,
+  // e.g. 'switch'. Returns the key's context.
+  addKey(action, settings = {}, { row = 0, column = this.nextKey, controller = 'Keypad' } = {}) {
+    const context = `key-${++this.nextKey}`;
+    const key = { action: ACTION_PREFIX + action, settings: { ...settings }, coordinates: { row, column }, controller };
+    this.keys.set(context, key);
+    this.sendKeyEvent('willAppear', context, { controller });
+    return context;
+  }
+
+  removeKey(context) {
+    this.sendKeyEvent('willDisappear', context);
+    this.keys.delete(context);
+  }
+
+  // Change a key's settings as the property inspector would
+  setSettings(context, settings) {
+    this.keys.get(context).settings = { ...settings };
+    this.sendKeyEvent('didReceiveSettings', context);
+  }
+
+  keyDown(context) {
+    this.sendKeyEvent('keyDown', context);
+  }
+
+  keyUp(context) {
+    this.sendKeyEvent('keyUp', context);
+  }
+
+  press(context) {
+    this.keyDown(context);
+    this.keyUp(context);
+  }
+
+  sendKeyEvent(event, context, extra = {}) {
+    const key = this.keys.get(context);
+    this.send({
+      event,
+      action: key.action,
+      context,
+      device: DEVICE,
+      payload: { settings: key.settings, coordinates: key.coordinates, isInMultiAction: false, ...extra }
+    });
+  }
+
+  // ============================================================
+  // Waiting for the plugin
+  // ============================================================
+
+  // Resolves with the first message, sent after this call, that predicate accepts
+  waitFor(predicate, timeout = WAIT_TIMEOUT) {
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        predicate,
+        resolve: (message) => {
+          clearTimeout(timer);
+          this.waiters = this.waiters.filter(other => other !== waiter);
+          resolve(message);
+        }
+      };
+      const timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(other => other !== waiter);
+        reject(new Error(`No matching message from the plugin within ${timeout}ms`));
+      }, timeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  // 'showOk' or 'showAlert' for context, whichever comes first
+  waitForResult(context, timeout) {
+    return this.waitFor(message => message.context === context &&
+      (message.event === 'showOk' || message.event === 'showAlert'), timeout)
+      .then(message => message.event);
+  }
+
+  // Latest state set on the key with setState, or undefined
+  lastState(context) {
+    const message = this.messages.filter(m => m.event === 'setState' && m.context === context).pop();
+    return message && message.payload.state;
+  }
+}
+
+module.exports = { FakeStreamDeck, PLUGIN_DIR, WebSocket };
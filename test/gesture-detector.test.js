@@ -0,0 +1,108 @@
+// Unit tests for the key gesture detector, on fake timers
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { PLUGIN_DIR } = require('./fakes/fake-stream-deck');
+const { GestureDetector, LONG_PRESS_MS, DOUBLE_PRESS_MS } = require(path.join(PLUGIN_DIR, 'gesture-detector'));
+
+const KEY = 'key-1';
+const ALL_GESTURES = { longPress: true, doublePress: true };
+
+let gestures;
+let detector;
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  gestures = [];
+  detector = new GestureDetector((context, gesture) => gestures.push(`${context} ${gesture}`));
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('a press with long and double press off is short on key up', () => {
+  detector.keyDown(KEY);
+  assert.deepEqual(gestures, []);
+  detector.keyUp(KEY);
+  assert.deepEqual(gestures, [`${KEY} short`]);
+});
+
+test('a single press waits out the double press window before it is short', () => {
+  detector.keyDown(KEY, ALL_GESTURES);
+  mock.timers.tick(100);
+  detector.keyUp(KEY);
+
+  mock.timers.tick(DOUBLE_PRESS_MS - 1);
+  assert.deepEqual(gestures, []);
+  mock.timers.tick(1);
+  assert.deepEqual(gestures, [`${KEY} short`]);
+});
+
+test('a second press within the window is one double press', () => {
+  detector.keyDown(KEY, ALL_GESTURES);
+  detector.keyUp(KEY);
+  mock.timers.tick(DOUBLE_PRESS_MS - 1);
+  detector.keyDown(KEY, ALL_GESTURES);
+  // Holding the second press does not make it long
+  mock.timers.tick(LONG_PRESS_MS);
+  detector.keyUp(KEY);
+
+  mock.timers.tick(DOUBLE_PRESS_MS);
+  assert.deepEqual(gestures, [`${KEY} double`]);
+});
+
+test('a second press after the window is two short presses', () => {
+  detector.keyDown(KEY, ALL_GESTURES);
+  detector.keyUp(KEY);
+  mock.timers.tick(DOUBLE_PRESS_MS);
+  detector.keyDown(KEY, ALL_GESTURES);
+  detector.keyUp(KEY);
+  mock.timers.tick(DOUBLE_PRESS_MS);
+
+  assert.deepEqual(gestures, [`${KEY} short`, `${KEY} short`]);
+});
+
+test('holding the key fires a long press while it is still down', () => {
+  detector.keyDown(KEY, ALL_GESTURES);
+  mock.timers.tick(LONG_PRESS_MS);
+  assert.deepEqual(gestures, [`${KEY} long`]);
+
+  detector.keyUp(KEY);
+  mock.timers.tick(DOUBLE_PRESS_MS);
+  assert.deepEqual(gestures, [`${KEY} long`]);
+});
+
+test('a release just before the threshold is short, one right at it is long', () => {
+  const options = { longPress: true };
+
+  detector.keyDown(KEY, options);
+  mock.timers.tick(LONG_PRESS_MS - 1);
+  detector.keyUp(KEY);
+  assert.deepEqual(gestures, [`${KEY} short`]);
+
+  detector.keyDown(KEY, options);
+  mock.timers.tick(LONG_PRESS_MS);
+  detector.keyUp(KEY);
+  assert.deepEqual(gestures, [`${KEY} short`, `${KEY} long`]);
+});
+
+test('keys are timed independently', () => {
+  detector.keyDown('key-1', ALL_GESTURES);
+  detector.keyDown('key-2', ALL_GESTURES);
+  detector.keyUp('key-2');
+  mock.timers.tick(LONG_PRESS_MS);
+  detector.keyUp('key-1');
+
+  assert.deepEqual(gestures, ['key-2 short', 'key-1 long']);
+});
+
+test('cancel forgets a press without reporting it', () => {
+  detector.keyDown(KEY, ALL_GESTURES);
+  detector.keyUp(KEY);
+  detector.cancel(KEY);
+  mock.timers.tick(DOUBLE_PRESS_MS);
+
+  assert.deepEqual(gestures, []);
+});
@@ -0,0 +1,164 @@
+// End-to-end test bed: the real plugin and the real extension, wired to a fake
+// Stream Deck and a fake Chrome. Runs on Linux with no browser or Stream Deck.
+//
+//   const bed = await startTestBed();
+//   bed.chrome.addWindow(['https://github.com/', 'https://example.com/']);
+//   const key = bed.deck.addKey('switch', { url: 'example.com' });
+//   bed.deck.press(key);
+//   await waitUntil(() => bed.chrome.getActiveTab().url === 'https://example.com/');
+//   await bed.stop();
+//
+// Set DEBUG=1 to see the plugin's and the extension's logs.
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const vm = require('vm');
+const { FakeChrome } = require('./fakes/fake-chrome');
+const { FakeStreamDeck, PLUGIN_DIR, WebSocket } = require('./fakes/fake-stream-deck');
+const { URLSwitcherPlugin } = require(path.join(PLUGIN_DIR, 'plugin'));
+const { setConsoleLogging } = require(path.join(PLUGIN_DIR, 'log'));
+
+const EXTENSION_DIR = path.join(__dirname, '..', 'chrome-extension');
+const PAIRING_SECRET = 'test-pairing-secret';
+const WAIT_TIMEOUT = 5000; // ms
+const POLL_INTERVAL = 20;  // ms
+
+const debug = !!process.env.DEBUG;
+setConsoleLogging(debug);
+
+// Resolves once condition() returns something truthy, with that value
+async function waitUntil(condition, { timeout = WAIT_TIMEOUT, message = 'condition' } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = await condition();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${message}`);
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+  }
+}
+
+// A port nothing listens on right now
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Run background.js the way Chrome runs the service worker: as a classic
+// script whose globals include chrome, WebSocket and importScripts.
+// Returns { context, unload }; unload() stops its timers and sockets.
+function loadExtension(chrome) {
+  const timers = new Set();
+  const sockets = new Set();
+  let unloaded = false;
+
+  // Extensions connect with their chrome-extension:// origin
+  class ExtensionWebSocket extends WebSocket {
+    constructor(url) {
+      // A reconnect already under way when the worker was unloaded
+      if (unloaded) throw new Error('Extension unloaded');
+      super(url, { origin: `chrome-extension://${chrome.runtime.id}` });
+      sockets.add(this);
+      this.on('close', () => sockets.delete(this));
+    }
+  }
+
+  const track = (set) => (callback, delay, ...args) => {
+    if (unloaded) return null;
+    const handle = set((...callbackArgs) => {
+      if (set === setTimeout) timers.delete(handle);
+      callback(...callbackArgs);
+    }, delay, ...args);
+    timers.add(handle);
+    return handle;
+  };
+  const untrack = (clear) => (handle) => {
+    timers.delete(handle);
+    clear(handle);
+  };
+
+  const quiet = { log() {}, warn() {}, error() {}, info() {}, debug() {} };
+  const context = vm.createContext({
+    chrome,
+    WebSocket: ExtensionWebSocket,
+    console: debug ? console : quiet,
+    setTimeout: track(setTimeout),
+    setInterval: track(setInterval),
+    clearTimeout: untrack(clearTimeout),
+    clearInterval: untrack(clearInterval),
+    crypto: require('crypto').webcrypto,
+    navigator: { userAgent: 'Mozilla/5.0 Chrome/120.0.0.0', userAgentData: { brands: [{ brand: 'Google Chrome' }] } },
+    fetch: async () => { throw new Error('No network in tests'); },
+    TextEncoder,
+    URL,
+    btoa,
+    atob,
+    structuredClone,
+    AbortController
+  });
+  context.self = context;
+  context.importScripts = (...files) => {
+    for (const file of files) {
+      vm.runInContext(fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8'), context, { filename: file });
+    }
+  };
+  context.importScripts('background.js');
+
+  return {
+    context,
+    unload() {
+      unloaded = true;
+      for (const handle of timers) {
+        clearTimeout(handle);
+        clearInterval(handle);
+      }
+      timers.clear();
+      for (const socket of sockets) {
+        socket.terminate();
+      }
+    }
+  };
+}
+
+// Start a fake Stream Deck, the plugin and one paired browser with an empty
+// session. globalSettings are merged into the plugin's global settings.
+async function startTestBed({ globalSettings = {}, incognitoAccess = false } = {}) {
+  const port = await getFreePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'urlswitcher-test-'));
+
+  const deck = new FakeStreamDeck({
+    globalSettings: { pairingSecret: PAIRING_SECRET, port, apiPort: 0, ...globalSettings }
+  });
+  const deckPort = await deck.start();
+
+  const plugin = new URLSwitcherPlugin({ dataDir });
+  plugin.connectToStreamDeck(deckPort, 'test-plugin', 'registerPlugin', JSON.stringify({ devices: [] }));
+  await waitUntil(() => plugin.extensionServer.port === port, { message: 'the extension server' });
+
+  const chrome = new FakeChrome({ storage: { pairingSecret: PAIRING_SECRET, configuredPort: port }, incognitoAccess });
+  const extension = loadExtension(chrome.api);
+  await waitUntil(() => plugin.extensionServer.listBrowsers().length > 0, { message: 'the extension to pair' });
+
+  return {
+    deck,
+    plugin,
+    chrome,
+    extension,
+    // Tests may replace extension to simulate the worker restarting
+    async stop() {
+      this.extension.unload();
+      plugin.stop();
+      deck.stop();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { startTestBed, loadExtension, waitUntil, getFreePort, PAIRING_SECRET };
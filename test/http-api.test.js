@@ -0,0 +1,183 @@
+// Tests for the local HTTP control API and its command line client,
+// against a ControlServer on an ephemeral port with a stand-in handler
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const { execFile } = require('child_process');
+const { PLUGIN_DIR } = require('./fakes/fake-stream-deck');
+const { ControlServer } = require(path.join(PLUGIN_DIR, 'http-api'));
+const { ProtocolError, ERROR_CODES } = require(path.join(PLUGIN_DIR, 'protocol'));
+
+const SECRET = 'test-secret';
+const CLI = path.join(__dirname, '..', 'scripts', 'urlswitch.js');
+
+let server;
+let port;
+let calls;
+
+beforeEach(async () => {
+  calls = [];
+  server = new ControlServer({
+    getSecret: () => SECRET,
+    // Answers like the plugin: known actions succeed, others are UNKNOWN_ACTION
+    handle: async (action, data) => {
+      calls.push({ action, data });
+      if (action === 'browsers') return { browsers: [] };
+      if (action === 'closeTab') return { result: { success: false, error: 'No matching tab' } };
+      if (action === 'getTabs' || action === 'switchToURL') return { result: { success: true } };
+      throw new ProtocolError(ERROR_CODES.UNKNOWN_ACTION, `Unknown action: ${action}`);
+    }
+  });
+  await server.start(0);
+  port = server.server.address().port;
+});
+
+afterEach(() => {
+  server.stop();
+});
+
+// Resolves with { status, body } for a request to the API
+function call(method, urlPath, { headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      path: urlPath,
+      method,
+      headers: { Authorization: `Bearer ${SECRET}`, ...headers }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Runs the command line client; resolves with { code, stdout, stderr }
+function runCLI(args, env = {}) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI, ...args], {
+      timeout: 10000,
+      env: { ...process.env, URLSWITCHER_SECRET: SECRET, URLSWITCHER_API_PORT: String(port), ...env }
+    }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+// ============================================================
+// Server
+// ============================================================
+
+test('a missing or wrong Bearer secret is refused with 401', async () => {
+  for (const authorization of ['', 'Bearer wrong', `Basic ${SECRET}`, SECRET]) {
+    const { status, body } = await call('GET', '/v1/browsers', { headers: { Authorization: authorization } });
+    assert.equal(status, 401, authorization);
+    assert.equal(body.error.code, 'UNAUTHORIZED');
+  }
+  assert.deepEqual(calls, []);
+});
+
+test('requests from web pages or to a foreign host name are refused with 403', async () => {
+  for (const headers of [
+    { Origin: 'https://evil.example' },
+    { Origin: 'null' },
+    { Host: `evil.example:${port}` }
+  ]) {
+    const { status, body } = await call('POST', '/v1/getTabs', { headers });
+    assert.equal(status, 403, JSON.stringify(headers));
+    assert.equal(body.error.code, 'FORBIDDEN');
+  }
+  assert.equal((await call('GET', '/v1/browsers', { headers: { Host: `localhost:${port}` } })).status, 200);
+  assert.deepEqual(calls.map(({ action }) => action), ['browsers']);
+});
+
+test('POST /v1/<action> passes the action and the JSON body to handle', async () => {
+  const fields = { url: 'github.com', matchMode: 'prefix', browser: 'edge' };
+  const { status, body } = await call('POST', '/v1/switchToURL', { body: JSON.stringify(fields) });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body, { result: { success: true } });
+  assert.deepEqual(calls, [{ action: 'switchToURL', data: fields }]);
+
+  // An empty body is {}
+  await call('POST', '/v1/getTabs');
+  assert.deepEqual(calls[1], { action: 'getTabs', data: {} });
+});
+
+test('errors map to their HTTP status', async () => {
+  const cases = [
+    [call('POST', '/v1/noSuchAction', { body: '{}' }), 404, ERROR_CODES.UNKNOWN_ACTION],
+    [call('GET', '/other'), 404, ERROR_CODES.UNKNOWN_ACTION],
+    [call('POST', '/v1/getTabs', { body: '{not json' }), 400, ERROR_CODES.INVALID_JSON],
+    [call('POST', '/v1/getTabs', { body: '[1, 2]' }), 400, ERROR_CODES.INVALID_MESSAGE],
+    [call('GET', '/v1/getTabs'), 405, 'METHOD_NOT_ALLOWED'],
+    [call('POST', '/v1/browsers'), 405, 'METHOD_NOT_ALLOWED']
+  ];
+  for (const [response, status, code] of cases) {
+    const { status: actual, body } = await response;
+    assert.equal(actual, status, code);
+    assert.equal(body.error.code, code);
+  }
+  assert.deepEqual(calls.map(({ action }) => action), ['noSuchAction']);
+});
+
+test('without a pairing secret every request is refused', async () => {
+  server.getSecret = () => null;
+  assert.equal((await call('GET', '/v1/browsers')).status, 401);
+});
+
+// ============================================================
+// Command line client (scripts/urlswitch.js)
+// ============================================================
+
+test('a URL is sent as switchToURL, with typed option values', async () => {
+  const { code, stdout } = await runCLI(['github.com/pulls', '--matchMode', 'prefix', '--placement={"mode":"newWindow"}', '--focus']);
+
+  assert.equal(code, 0);
+  assert.deepEqual(JSON.parse(stdout), { result: { success: true } });
+  assert.deepEqual(calls, [{
+    action: 'switchToURL',
+    data: { url: 'github.com/pulls', matchMode: 'prefix', placement: { mode: 'newWindow' }, focus: true }
+  }]);
+});
+
+test('actions and browsers are sent as themselves', async () => {
+  assert.equal((await runCLI(['getTabs', '--browser', 'edge', '--limit', '3'])).code, 0);
+  assert.equal((await runCLI(['browsers'])).code, 0);
+  assert.deepEqual(calls, [
+    { action: 'getTabs', data: { browser: 'edge', limit: 3 } },
+    { action: 'browsers', data: {} }
+  ]);
+});
+
+test('a refused request or a failed result exits with 1', async () => {
+  const refused = await runCLI(['browsers', '--secret', 'wrong']);
+  assert.equal(refused.code, 1);
+  assert.match(refused.stderr, /browsers failed \(HTTP 401\): \[UNAUTHORIZED\]/);
+
+  const failed = await runCLI(['closeTab', '--url', 'github.com']);
+  assert.equal(failed.code, 1);
+  assert.equal(JSON.parse(failed.stdout).result.error, 'No matching tab');
+});
+
+test('usage errors exit with 2 without sending anything', async () => {
+  const noSecret = await runCLI(['getTabs'], { URLSWITCHER_SECRET: '' });
+  assert.equal(noSecret.code, 2);
+  assert.match(noSecret.stderr, /Set URLSWITCHER_SECRET/);
+
+  assert.equal((await runCLI([])).code, 2);
+  assert.equal((await runCLI(['getTabs', 'extra'])).code, 2);
+  assert.deepEqual(calls, []);
+});
+
+test('nothing listening on the port is reported', async () => {
+  server.stop();
+  const { code, stderr } = await runCLI(['browsers']);
+  assert.equal(code, 1);
+  assert.match(stderr, new RegExp(`Nothing listens on port ${port}`));
+});
@@ -0,0 +1,164 @@
+// Unit tests for the shared JSON-lines logger, writing to a temp dir
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Logger, normalizeLevel, formatEntry } = require('../shared/logger');
+
+let dir;
+let file;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'urlswitcher-log-'));
+  file = path.join(dir, 'test.log');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const createLogger = (options = {}) => new Logger({ component: 'test', output: null, ...options });
+
+// Resolves once every queued line has been written
+function settled(logger) {
+  return new Promise((resolve) => {
+    const wait = () => (logger.writing || logger.queue.length ? setTimeout(wait, 5) : resolve());
+    wait();
+  });
+}
+
+// Messages in a JSON-lines file, or null when it doesn't exist
+function messagesIn(name) {
+  if (!fs.existsSync(name)) return null;
+  return fs.readFileSync(name, 'utf8').trim().split('\n').map(line => JSON.parse(line).message);
+}
+
+// ============================================================
+// Levels
+// ============================================================
+
+test('entries below the level are dropped, and setLevel changes it', () => {
+  const logger = createLogger({ level: 'warn' });
+  assert.equal(logger.info('skipped'), null);
+  assert.equal(logger.warn('kept').level, 'warn');
+  assert.equal(logger.error('kept too').level, 'error');
+
+  assert.equal(logger.setLevel('DEBUG'), 'debug');
+  assert.equal(logger.debug('now kept').level, 'debug');
+  assert.deepEqual(logger.getRecent().map(entry => entry.message), ['kept', 'kept too', 'now kept']);
+});
+
+test('level names are case-insensitive, SUCCESS is info and unknown names restore the default', () => {
+  assert.equal(normalizeLevel('WARN'), 'warn');
+  assert.equal(normalizeLevel('success'), 'info');
+  assert.equal(normalizeLevel('verbose'), null);
+
+  const logger = createLogger({ level: 'verbose' });
+  assert.equal(logger.level, 'info');
+  logger.setLevel('error');
+  assert.equal(logger.setLevel('loud'), 'info');
+});
+
+test('entries carry the component, context and fields, without undefined ones', () => {
+  const logger = createLogger();
+  logger.getContext = () => ({ cid: 'abc12345' });
+  const entry = logger.info('Request completed', { ms: 42, skipped: undefined });
+
+  assert.equal(entry.component, 'test');
+  assert.equal(entry.cid, 'abc12345');
+  assert.equal(entry.ms, 42);
+  assert.ok(!('skipped' in entry));
+  assert.equal(formatEntry(entry), '[INFO] Request completed (cid abc12345, ms 42)');
+});
+
+// ============================================================
+// Recent entries
+// ============================================================
+
+test('only the latest entries are kept in memory', () => {
+  const logger = createLogger({ recentEntries: 3 });
+  for (const message of ['a', 'b', 'c', 'd', 'e']) logger.info(message);
+  assert.deepEqual(logger.getRecent().map(entry => entry.message), ['c', 'd', 'e']);
+});
+
+test('getRecent filters by level before taking the latest limit entries', () => {
+  const logger = createLogger({ level: 'debug' });
+  logger.warn('w1');
+  logger.debug('d1');
+  logger.error('e1');
+  logger.info('i1');
+  logger.warn('w2');
+
+  assert.deepEqual(logger.getRecent(2).map(entry => entry.message), ['i1', 'w2']);
+  assert.deepEqual(logger.getRecent(2, 'warn').map(entry => entry.message), ['e1', 'w2']);
+  assert.deepEqual(logger.getRecent(undefined, 'ERROR').map(entry => entry.message), ['e1']);
+});
+
+// ============================================================
+// File output
+// ============================================================
+
+test('entries are appended to the file as JSON lines', async () => {
+  const logger = createLogger({ file });
+  logger.info('first');
+  logger.warn('second', { cid: 'abc12345' });
+  await settled(logger);
+
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(lines.map(({ level, message }) => [level, message]), [['info', 'first'], ['warn', 'second']]);
+  assert.equal(lines[1].cid, 'abc12345');
+});
+
+test('the file is rotated by size, keeping filesKept older files', async () => {
+  // Each line is well over half of maxBytes, so every line starts a new file
+  const logger = createLogger({ file, maxBytes: 150, filesKept: 2 });
+  for (const message of ['one', 'two', 'three', 'four']) {
+    logger.info(message + ' ' + 'x'.repeat(60));
+    await settled(logger);
+  }
+  const first = (name) => messagesIn(name) && messagesIn(name).map(message => message.split(' ')[0]);
+
+  assert.deepEqual(first(file), ['four']);
+  assert.deepEqual(first(`${file}.1`), ['three']);
+  assert.deepEqual(first(`${file}.2`), ['two']);
+  assert.equal(first(`${file}.3`), null);
+});
+
+test('lines below the size limit stay in one file, across restarts', async () => {
+  const before = createLogger({ file, maxBytes: 1000 });
+  before.info('a');
+  await settled(before);
+
+  const after = createLogger({ file, maxBytes: 1000 });
+  after.info('b');
+  await settled(after);
+
+  assert.deepEqual(messagesIn(file), ['a', 'b']);
+  assert.equal(fs.existsSync(`${file}.1`), false);
+});
+
+test('a restart continues counting from the existing file size', async () => {
+  fs.writeFileSync(file, JSON.stringify({ message: 'old' }) + '\n' + 'x'.repeat(100) + '\n');
+  const logger = createLogger({ file, maxBytes: 150 });
+  logger.info('new');
+  await settled(logger);
+
+  assert.deepEqual(messagesIn(file), ['new']);
+  assert.equal(fs.readFileSync(`${file}.1`, 'utf8').split('\n')[0], '{"message":"old"}');
+});
+
+test('flushSync writes queued lines right away', () => {
+  const logger = createLogger({ file });
+  logger.queue.push(JSON.stringify({ message: 'queued' }) + '\n');
+  logger.flushSync();
+  assert.deepEqual(messagesIn(file), ['queued']);
+});
+
+test('lines logged while a write is in flight are written in order', async () => {
+  const logger = createLogger({ file });
+  for (const message of ['a', 'b', 'c']) logger.info(message);
+  await settled(logger);
+  assert.deepEqual(messagesIn(file), ['a', 'b', 'c']);
+});
@@ -0,0 +1,35 @@
+// Unit tests for message validation (shared/protocol.js)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Protocol = require('../shared/protocol');
+
+test('names inherited from Object.prototype are not actions, events or control messages', () => {
+  for (const name of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    assert.throws(() => Protocol.validateRequest({ id: 1, action: name }), { code: 'UNKNOWN_ACTION' }, name);
+    assert.throws(() => Protocol.validateEvent({ event: name }), { code: 'UNKNOWN_ACTION' }, name);
+    assert.throws(() => Protocol.validateControl({ action: name }), { code: 'UNKNOWN_ACTION' }, name);
+    assert.throws(() => Protocol.createRequest(1, name), { code: 'UNKNOWN_ACTION' }, name);
+    assert.equal(Protocol.isKnownRequest(name), false, name);
+  }
+  assert.equal(Protocol.isKnownRequest('getTabs'), true);
+});
+
+test('response errors must be { code, message } objects', () => {
+  assert.doesNotThrow(() => Protocol.validateResponse({ id: 1, error: { code: 'TIMEOUT', message: 'Too slow' } }));
+  for (const error of ['x', { message: 'no code' }, { code: 'TIMEOUT' }, ['TIMEOUT']]) {
+    assert.throws(() => Protocol.validateResponse({ id: 1, error }), { code: 'INVALID_MESSAGE' }, JSON.stringify(error));
+  }
+});
+
+test('errors survive the round trip through their wire form', () => {
+  const error = Protocol.fromErrorPayload(Protocol.toErrorPayload(
+    new Protocol.ProtocolError(Protocol.ERROR_CODES.NOT_CONNECTED, 'Chrome disconnected')));
+  assert.equal(error.code, 'NOT_CONNECTED');
+  assert.equal(error.message, 'Chrome disconnected');
+
+  // Errors without a string code, e.g. DOMException, become INTERNAL_ERROR
+  const payload = Protocol.toErrorPayload(Object.assign(new Error('Aborted'), { code: 20 }));
+  assert.deepEqual(payload, { code: 'INTERNAL_ERROR', message: 'Aborted' });
+  assert.doesNotThrow(() => Protocol.validateResponse({ id: 1, error: payload }));
+});
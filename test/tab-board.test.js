@@ -0,0 +1,35 @@
+// Unit tests for the Tab Board layout helpers
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { PLUGIN_DIR } = require('./fakes/fake-stream-deck');
+const { orderSlots } = require(path.join(PLUGIN_DIR, 'tab-board'));
+
+test('keys are ordered row by row, left to right', () => {
+  const keys = [
+    ['c', { row: 1, column: 0 }],
+    ['b', { row: 0, column: 2 }],
+    ['a', { row: 0, column: 1 }]
+  ];
+  assert.deepEqual(orderSlots(keys), ['a', 'b', 'c']);
+});
+
+test('keys without coordinates go last, in the order given, however the input is arranged', () => {
+  const keys = [
+    ['x', undefined],
+    ['b', { row: 0, column: 1 }],
+    ['y', null],
+    ['a', { row: 0, column: 0 }],
+    ['z', {}],
+    ['c', { row: 2, column: 0 }]
+  ];
+  const expected = ['a', 'b', 'c', 'x', 'y', 'z'];
+  assert.deepEqual(orderSlots(keys), expected);
+
+  // The same keys in any other arrangement put the positioned keys in the same slots
+  for (let shift = 1; shift < keys.length; shift++) {
+    const rotated = [...keys.slice(shift), ...keys.slice(0, shift)];
+    assert.deepEqual(orderSlots(rotated).slice(0, 3), ['a', 'b', 'c']);
+  }
+});
@@ -0,0 +1,110 @@
+// Unit tests for URL matching and tab ranking (shared/url-matcher.js)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMatcher, matchesURL, rankTabs } = require('../shared/url-matcher');
+
+// Tabs accepted by mode for target, as their URLs
+const matching = (target, mode, urls) => urls.filter(url => createMatcher(target, mode)(url));
+
+// rankTabs over plain URLs: ids follow the input order
+const rank = (target, urls, lastUsed = {}) => rankTabs(
+  urls.map((url, id) => ({ id, url })),
+  target,
+  () => true,
+  new Map(Object.entries(lastUsed).map(([id, time]) => [Number(id), time]))
+).map(({ tab }) => tab.url);
+
+// ============================================================
+// Match modes
+// ============================================================
+
+test('smart ignores protocol, www, trailing slash and hash, and matches either way round', () => {
+  const match = createMatcher('https://www.GitHub.com/org/');
+  assert.ok(match('http://github.com/org'));
+  assert.ok(match('https://github.com/org/repo'));
+  assert.ok(match('https://github.com/'));
+  assert.ok(match('https://github.com/org#readme'));
+  assert.ok(!match('https://gitlab.com/org'));
+});
+
+test('exact matches only the same normalized URL', () => {
+  assert.deepEqual(matching('github.com/org', 'exact',
+    ['https://github.com/org/', 'https://www.github.com/org', 'https://github.com/org/repo', 'https://github.com/']),
+  ['https://github.com/org/', 'https://www.github.com/org']);
+});
+
+test('prefix needs the tab URL to continue at a /, ? or & boundary', () => {
+  assert.deepEqual(matching('example.com/app', 'prefix', [
+    'https://example.com/app',
+    'https://example.com/app/settings',
+    'https://example.com/app?tab=1',
+    'https://example.com/apple',
+    'https://example.com/'
+  ]), ['https://example.com/app', 'https://example.com/app/settings', 'https://example.com/app?tab=1']);
+
+  assert.deepEqual(matching('example.com/search?q=1', 'prefix', [
+    'https://example.com/search?q=1&page=2',
+    'https://example.com/search?q=12'
+  ]), ['https://example.com/search?q=1&page=2']);
+});
+
+test('domain matches any page on the same host, ignoring www but not subdomains', () => {
+  assert.deepEqual(matching('https://www.example.com/a', 'domain', [
+    'https://example.com/b',
+    'http://www.example.com/',
+    'https://docs.example.com/',
+    'https://example.org/'
+  ]), ['https://example.com/b', 'http://www.example.com/']);
+  assert.equal(matchesURL('https://example.com/', 'not a url ::', 'domain'), false);
+});
+
+test('regex tests the full tab URL, case-insensitively', () => {
+  assert.deepEqual(matching('^https://github\\.com/[^/]+/pulls$', 'regex', [
+    'https://GITHUB.com/acme/pulls',
+    'https://github.com/acme/web/pulls',
+    'http://github.com/acme/pulls'
+  ]), ['https://GITHUB.com/acme/pulls']);
+});
+
+test('a regex that does not compile throws when the matcher is built', () => {
+  assert.throws(() => createMatcher('github.com/(unclosed', 'regex'), SyntaxError);
+});
+
+test('glob matches normalized URLs with * and ?', () => {
+  assert.deepEqual(matching('*.example.com/app?', 'glob', [
+    'https://docs.example.com/app1',
+    'https://www.eu.example.com/app2/',
+    'https://docs.example.com/app',
+    'https://docs.example.com/app12',
+    'https://docsXexample.com/app1'
+  ]), ['https://docs.example.com/app1', 'https://www.eu.example.com/app2/']);
+});
+
+test('an unknown mode throws', () => {
+  assert.throws(() => createMatcher('example.com', 'fuzzy'), /Unknown match mode: fuzzy/);
+});
+
+// ============================================================
+// Ranking
+// ============================================================
+
+test('an exact match ranks ahead of a prefix match', () => {
+  assert.deepEqual(rank('github.com/org', ['https://github.com/org/repo', 'https://github.com/org']),
+    ['https://github.com/org', 'https://github.com/org/repo']);
+});
+
+test('more shared path segments rank ahead of fewer', () => {
+  assert.deepEqual(rank('github.com/org/repo/pulls', ['https://github.com/org', 'https://github.com/org/repo']),
+    ['https://github.com/org/repo', 'https://github.com/org']);
+});
+
+test('ties go to the most recently used tab', () => {
+  assert.deepEqual(rank('github.com', ['https://github.com/a', 'https://github.com/b', 'https://github.com/c'], { 0: 5, 1: 9, 2: 1 }),
+    ['https://github.com/b', 'https://github.com/a', 'https://github.com/c']);
+});
+
+test('equal scores keep the input order', () => {
+  const urls = ['https://github.com/a', 'https://github.com/b', 'https://github.com/c'];
+  assert.deepEqual(rank('github.com', urls), urls);
+});
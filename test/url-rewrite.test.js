@@ -0,0 +1,101 @@
+// Unit tests for Switch Environment's URL rewrite rules
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { PLUGIN_DIR } = require('./fakes/fake-stream-deck');
+const { RewriteRuleError, parseEndpoint, validateRules, rewriteURL } = require(path.join(PLUGIN_DIR, 'url-rewrite'));
+
+// The rewritten URL, or null when no rule matches
+const rewrite = (url, rules) => {
+  const result = rewriteURL(url, rules);
+  return result && result.url;
+};
+
+// ============================================================
+// Parsing
+// ============================================================
+
+test('endpoints parse into protocol, host, typed port and path', () => {
+  assert.deepEqual(parseEndpoint(' https://app.com:8443/api/ '),
+    { protocol: 'https:', hostname: 'app.com', port: '8443', path: '/api' });
+  assert.deepEqual(parseEndpoint('localhost:3000'),
+    { protocol: null, hostname: 'localhost', port: '3000', path: '' });
+  assert.deepEqual(parseEndpoint('app.com:80'),
+    { protocol: null, hostname: 'app.com', port: '80', path: '' });
+});
+
+test('empty, malformed and query or hash endpoints throw RewriteRuleError', () => {
+  assert.throws(() => parseEndpoint('  '), { name: 'RewriteRuleError', message: 'Host is empty' });
+  assert.throws(() => parseEndpoint('http://exa mple.com'), /is not a host or URL/);
+  assert.throws(() => parseEndpoint('app.com:99999'), /is not a host or URL/);
+  assert.throws(() => parseEndpoint('app.com/x?y=1'), /must not have a query or #hash/);
+  assert.throws(() => parseEndpoint('app.com#top'), RewriteRuleError);
+});
+
+test('validateRules trims the rules and names the first bad one', () => {
+  assert.deepEqual(validateRules([{ from: ' localhost:3000 ', to: 'app.com ' }]),
+    [{ from: 'localhost:3000', to: 'app.com' }]);
+  assert.throws(() => validateRules([{ from: 'a.com', to: 'b.com' }, { from: 'b.com', to: '' }]),
+    { name: 'RewriteRuleError', message: 'Rule 2: Host is empty' });
+  assert.throws(() => validateRules('a.com -> b.com'), /Rules must be a list/);
+});
+
+// ============================================================
+// Rewriting
+// ============================================================
+
+test('the path, query and hash after the matched part are kept', () => {
+  const rules = [{ from: 'localhost:3000', to: 'https://staging.app.com' }, { from: 'app.com/api', to: 'api.app.com/v2' }];
+  assert.deepEqual(rewriteURL('http://localhost:3000/orders/7?tab=items#total', rules),
+    { url: 'https://staging.app.com/orders/7?tab=items#total', rule: 0 });
+  assert.deepEqual(rewriteURL('https://app.com/api/users?page=2#top', rules),
+    { url: 'https://api.app.com/v2/users?page=2#top', rule: 1 });
+});
+
+test('from matches whole host and path segments, and the protocol only if it names one', () => {
+  const rules = [{ from: 'app.com/api', to: 'api.app.com' }];
+  assert.equal(rewrite('https://app.com/api', rules), 'https://api.app.com');
+  assert.equal(rewrite('https://app.com/apis', rules), null);
+  assert.equal(rewrite('https://staging.app.com/api', rules), null);
+
+  assert.equal(rewrite('http://app.com/', [{ from: 'https://app.com', to: 'b.com' }]), null);
+  assert.equal(rewrite('http://app.com/', [{ from: 'app.com', to: 'https://b.com' }]), 'https://b.com/');
+});
+
+test('rules are tried in order and the first match wins', () => {
+  const rules = [
+    { from: 'localhost:3000', to: 'staging.app.com' },
+    { from: 'staging.app.com', to: 'app.com' },
+    { from: 'app.com', to: 'http://localhost:3000' }
+  ];
+  assert.equal(rewrite('https://staging.app.com/x', rules), 'https://app.com/x');
+  assert.equal(rewrite('https://app.com/x', rules), 'http://localhost:3000/x');
+  assert.equal(rewrite('http://localhost:3000/x', rules), 'http://staging.app.com/x');
+
+  // An earlier, broader rule shadows a later, narrower one
+  assert.deepEqual(rewriteURL('https://app.com/api/x', [{ from: 'app.com', to: 'a.com' }, { from: 'app.com/api', to: 'b.com' }]),
+    { url: 'https://a.com/api/x', rule: 0 });
+});
+
+test('rules that do not parse are skipped, and URLs that do not parse match nothing', () => {
+  const rules = [{ from: 'app.com', to: '' }, { from: 'app.com', to: 'b.com' }];
+  assert.deepEqual(rewriteURL('https://app.com/x', rules), { url: 'https://b.com/x', rule: 1 });
+  assert.equal(rewriteURL('not a url', rules), null);
+});
+
+test('an explicit port in from is kept, even the default one', () => {
+  const rules = [{ from: 'app.com:80', to: 'staging.app.com' }];
+  assert.equal(rewrite('http://app.com/x', rules), 'http://staging.app.com/x');
+  assert.equal(rewrite('https://app.com:80/x', rules), 'https://staging.app.com/x');
+  assert.equal(rewrite('https://app.com/x', rules), null);
+
+  // Without a port, from matches only the protocol's default port
+  assert.equal(rewrite('http://app.com:8080/x', [{ from: 'app.com', to: 'b.com' }]), null);
+});
+
+test('an explicit port in to is kept unless it is the default for the result', () => {
+  assert.equal(rewrite('https://app.com/x', [{ from: 'app.com', to: 'localhost:80' }]), 'https://localhost:80/x');
+  assert.equal(rewrite('http://app.com/x', [{ from: 'app.com', to: 'localhost:80' }]), 'http://localhost/x');
+  assert.equal(rewrite('http://app.com/x', [{ from: 'app.com', to: 'https://localhost:8443' }]), 'https://localhost:8443/x');
+});
@@ -0,0 +1,50 @@
+// Unit tests for URL templates
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { PLUGIN_DIR } = require('./fakes/fake-stream-deck');
+const { isTemplate, getTemplateNeeds, expandTemplate, TemplateError } = require(path.join(PLUGIN_DIR, 'url-template'));
+
+const variables = { org: 'acme', repo: 'web app', host: 'staging.example.com' };
+
+test('variables, the clipboard, the date and the active tab are filled in', () => {
+  assert.equal(expandTemplate('https://github.com/{org}/{repo}/pulls', { variables }),
+    'https://github.com/acme/web%20app/pulls');
+  assert.equal(expandTemplate('https://{host:raw}/admin', { variables }), 'https://staging.example.com/admin');
+  assert.equal(expandTemplate('https://jira.example.com/browse/{clipboard}', { clipboard: ' ABC-12\n' }),
+    'https://jira.example.com/browse/ABC-12');
+  assert.equal(expandTemplate('https://notes.example.com/{date:YYYY/MM/DD}', { now: new Date(2026, 0, 2) }),
+    'https://notes.example.com/2026/01/02');
+  assert.equal(expandTemplate('https://prod.example.com{tab.path}', { activeTabURL: 'https://staging.example.com/a?b=1#c' }),
+    'https://prod.example.com/a?b=1#c');
+});
+
+test('URLs with literal braces are not templates and are used as written', () => {
+  for (const url of [
+    'https://example.com/search?q={"state":"open"}',
+    'https://example.com/#/items/{id}',
+    'https://example.com/?filter={',
+    'https://example.com/?a=}{',
+    'https://example.com/?mustache={{name}}'
+  ]) {
+    assert.equal(isTemplate(url, variables), false, url);
+  }
+});
+
+test('only supported placeholders are expanded; other braces stay', () => {
+  const template = 'https://example.com/{org}/?q={"a":1}&id={id}&t={tab.nope}';
+  assert.equal(isTemplate(template, variables), true);
+  assert.deepEqual(getTemplateNeeds(template, variables), { clipboard: false, activeTab: false, variables: ['org'] });
+  assert.equal(expandTemplate(template, { variables }), 'https://example.com/acme/?q={"a":1}&id={id}&t={tab.nope}');
+});
+
+test('doubled braces are literal in templates', () => {
+  assert.equal(expandTemplate('https://example.com/{org}?q={{org}}', { variables }), 'https://example.com/acme?q={org}');
+});
+
+test('placeholders that cannot be filled throw TemplateError', () => {
+  assert.throws(() => expandTemplate('https://x.com/{clipboard}', { clipboard: '  ' }), TemplateError);
+  assert.throws(() => expandTemplate('https://x.com{tab.path}', {}), TemplateError);
+  assert.throws(() => expandTemplate('https://x.com/{org:upper}', { variables }), TemplateError);
+});